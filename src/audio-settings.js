@@ -0,0 +1,28 @@
+/**
+ * Numeric audio settings and the ranges their popup inputs allow. Shared by
+ * the popup (reading its inputs), the background worker (building the
+ * recorder options) and the offscreen recorder, so a stored value is read the
+ * same way everywhere: 0 dB is a real value, not "unset".
+ */
+
+export const AUDIO_SETTING_RANGES = {
+  silenceMinSec: { min: 2, max: 120, fallback: 15 },
+  silenceLevelDb: { min: -90, max: -20, fallback: -50 },
+  micGainDb: { min: -12, max: 12, fallback: 0 },
+  systemGainDb: { min: -12, max: 12, fallback: 0 },
+  noiseGateDb: { min: -90, max: -20, fallback: -50 },
+  normalizeTargetDb: { min: -30, max: -10, fallback: -20 },
+};
+
+/**
+ * `value` as a number clamped to the setting's range, or the setting's
+ * default when it is missing or not a number.
+ *
+ * @param {keyof typeof AUDIO_SETTING_RANGES} name
+ * @param {unknown} value
+ */
+export function audioSetting(name, value) {
+  const { min, max, fallback } = AUDIO_SETTING_RANGES[name];
+  const n = value === null || value === "" || typeof value === "boolean" ? NaN : Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
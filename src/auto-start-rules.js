@@ -0,0 +1,58 @@
+/**
+ * Auto-start rules evaluated by the background worker whenever a Teams tab
+ * reports its call state. Pure functions so they can be reasoned about (and
+ * reused by the popup) without any chrome.* APIs.
+ */
+
+export const MAX_COUNTDOWN_SEC = 20;
+
+/**
+ * One pattern per line (commas also separate). A pattern matches anywhere in
+ * the title, case-insensitively, with `*` as a wildcard; a line wrapped in
+ * slashes is used as a regex.
+ */
+export function parseTitlePatterns(text) {
+  return String(text || "")
+    .split(/[\n,]/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const regex = /^\/(.+)\/([a-z]*)$/.exec(line);
+      if (regex) {
+        try {
+          return new RegExp(regex[1], regex[2].includes("i") ? regex[2] : `${regex[2]}i`);
+        } catch {
+          return null;
+        }
+      }
+      const escaped = line.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+      return new RegExp(escaped, "i");
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Decide whether an active call should start recording on its own.
+ * Returns `{ start, reason }`; `reason` explains a refusal for diagnostics.
+ */
+export function evaluateAutoStart(settings, call) {
+  if (!settings.autoStartOnCall) return { start: false, reason: "Auto-start is off." };
+  if (!settings.consentAccepted) return { start: false, reason: "Consent not accepted." };
+  if (!call.callActive) return { start: false, reason: "No active call." };
+
+  if (settings.autoStartSkipOneOnOne && call.participantCount !== null && call.participantCount <= 2) {
+    return { start: false, reason: "1:1 calls are excluded." };
+  }
+
+  const patterns = parseTitlePatterns(settings.autoStartTitlePatterns);
+  if (patterns.length && !patterns.some((pattern) => pattern.test(call.title || ""))) {
+    return { start: false, reason: "Meeting title does not match any pattern." };
+  }
+  return { start: true, reason: "" };
+}
+
+export function countdownSeconds(settings) {
+  const value = Number(settings.autoStartCountdownSec);
+  if (!Number.isFinite(value)) return 5;
+  return Math.max(0, Math.min(MAX_COUNTDOWN_SEC, Math.round(value)));
+}
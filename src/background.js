@@ -1,38 +1,222 @@
+import { audioSetting } from "./audio-settings.js";
+import { countdownSeconds, evaluateAutoStart } from "./auto-start-rules.js";
+import { formatSrt, formatVtt, transcriptText } from "./captions.js";
+import { deleteSession, getSession, listSessions, updateSession } from "./chunk-store.js";
+import { DEFAULT_FILENAME_TEMPLATE, renderFilename } from "./filename-template.js";
+import { buildSummaryMessages, formatSummaryMarkdown, requestSummary } from "./meeting-summary.js";
+import { recordedOffsetMs, recordingDurations } from "./recording-time.js";
+import { trimmedOffset } from "./silence-trimmer.js";
+import { labelSegments, summarizeTimeline } from "./speaker-timeline.js";
+import { grantedTeamsMatches, OPTIONAL_TEAMS_MATCHES } from "./teams-hosts.js";
+import { flushWebhooks, queueWebhook, WEBHOOK_ALARM } from "./webhooks.js";
+
 const DEFAULT_SETTINGS = {
   sourceMode: "both",
   format: "webm",
+  mp3Bitrate: 128,
+  wavSampleRate: 48000,
+  wavBitDepth: 16,
+  channels: "stereo",
+  trackLayout: "mixed",
+  videoResolution: "720p",
+  videoFrameRate: 30,
   folder: "TeamsRecordings",
+  // Path under `folder` with {tokens}, see filename-template.js.
+  filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
   beepOnStart: true,
   consentAccepted: false,
   onScreenBadge: true,
+  autoStartOnCall: false,
+  autoStartTitlePatterns: "",
+  autoStartSkipOneOnOne: false,
+  autoStartCountdownSec: 5,
+  offlineTranscription: false,
+  offlineTranscriptionSource: "mix",
+  offlineTranscriptionLanguage: "auto",
+  // Warn when the mic or the call audio has been silent this long; 0 turns it off.
+  silenceWarningSec: 60,
+  // Long silences in the mix: "off", "pause" the recorder until sound returns,
+  // or "trim" them from .wav/.mp3 files. Silence means quieter than
+  // silenceLevelDb for at least silenceMinSec.
+  silenceAction: "off",
+  silenceMinSec: 15,
+  silenceLevelDb: -50,
+  // Processing applied to the recording (not to what you hear): gain per
+  // source in dB, a compressor/limiter on the mix, a noise gate on the mic,
+  // and loudness normalization of .wav/.mp3 files when they are finalized.
+  micGainDb: 0,
+  systemGainDb: 0,
+  compressor: false,
+  noiseGate: false,
+  noiseGateDb: -50,
+  normalize: false,
+  normalizeTargetDb: -20,
+  // Retention, checked by an hourly alarm and after each recording; 0 means no
+  // limit. Starred recordings are never deleted.
+  retentionDays: 0,
+  retentionMaxCount: 0,
+  retentionMaxGb: 0,
+  // Meeting minutes from an OpenAI-compatible endpoint, see meeting-summary.js.
+  summaryEnabled: false,
+  summaryEndpoint: "http://localhost:11434/v1",
+  summaryModel: "",
+  summaryApiKey: "",
+  // Recording events posted to these URLs (one per line), see webhooks.js.
+  webhookEnabled: false,
+  webhookUrls: "",
+  webhookSecret: "",
   notes: "",
 };
 
+const MAX_MARKER_LABEL = 120;
+const ARCHIVE_FORMAT = "teams-recorder-archive";
+const ARCHIVE_VERSION = 1;
+// Settings that belong to this browser and are never restored from an archive:
+// legal consent is given per install, the notes field is a draft.
+const LOCAL_ONLY_SETTINGS = ["consentAccepted", "notes", "summaryApiKey", "webhookSecret"];
+const RETENTION_ALARM = "retention-cleanup";
+const RETENTION_PERIOD_MIN = 60;
+const CAPTURE_BLOCKED_MESSAGE =
+  "Chrome needs one click first: click the Teams Call Recorder icon in the toolbar while on the Teams tab. " +
+  "Auto-start then works in that tab until it is reloaded.";
+// Content script registration for optional Teams hosts the user has granted.
+const OPTIONAL_CONTENT_SCRIPT_ID = "teams-content-optional";
+
+const VIDEO_PRESETS = {
+  "480p": { width: 854, height: 480, bitsPerSecond: 1_000_000 },
+  "720p": { width: 1280, height: 720, bitsPerSecond: 2_500_000 },
+  "1080p": { width: 1920, height: 1080, bitsPerSecond: 5_000_000 },
+};
+
 const state = {
+  // The focused call: the recording tab while recording, otherwise the tab the
+  // user picked or the most relevant one in `calls`. Mirrors its entry below.
   callActive: false,
   callTabId: null,
   callTitle: "",
   participantCount: null,
+  // Teams tabs with an active call, by tab id:
+  // { tabId, windowId, title, participantCount, since }.
+  calls: {},
+  // Tab the user chose in the popup's picker; null follows calls automatically.
+  selectedTabId: null,
   recordingState: "idle",
   recordingStartedAt: null,
+  // Paused time so far, and when the current pause began; content.js uses both
+  // to turn wall-clock times into offsets within the audio file.
+  pausedMs: 0,
+  pausedAt: null,
+  // Every pause of the current recording: { pausedAt, resumedAt, offsetMs },
+  // wall-clock times plus the position in the audio file where it happened.
+  pauseLog: [],
   lastError: "",
   currentFilename: "",
   latestDownloadId: null,
+  sessionId: null,
+  chunkCount: 0,
+  bytesRecorded: 0,
+  recoverableCount: 0,
+  markerCount: 0,
+  autoStartAt: null,
+  autoStartReason: "",
+  // Tab whose audio Chrome refused to capture because the extension was never
+  // invoked there; auto-start waits on it until the toolbar icon is clicked.
+  captureBlockedTabId: null,
+  // Offline transcription running in the offscreen document, if any:
+  // { recordingId, title, progress } with progress in 0..1.
+  transcription: null,
+  // Latest meter readings from the recorder: { mic, system }, each null when
+  // that source is not captured or { db, level, silentMs, silent }.
+  levels: null,
 };
 
+let autoStartTimer = null;
+// Set when the user cancels a countdown; cleared when that call ends.
+let autoStartSuppressed = false;
+// Recordings with a summary request in flight.
+const summarizing = new Set();
+// Tail of the recordings index updates, see withRecordings().
+let recordingsTail = Promise.resolve();
+
+// The worker can be stopped at any time, even mid-recording, while the
+// offscreen document keeps capturing. Every listener waits for the state to be
+// restored from storage.session and checked against the recorder first.
+const stateReady = restoreState();
+
 chrome.runtime.onInstalled.addListener(async () => {
+  await stateReady;
   const current = await chrome.storage.local.get(Object.keys(DEFAULT_SETTINGS));
   const update = {};
   for (const [key, value] of Object.entries(DEFAULT_SETTINGS)) {
     if (current[key] === undefined) update[key] = value;
   }
   if (Object.keys(update).length) await chrome.storage.local.set(update);
+  await syncContentScripts();
+  await scheduleRetention();
+  await refreshRecoverableCount();
+  await publishState();
+});
+
+chrome.runtime.onStartup.addListener(async () => {
+  await stateReady;
+  await scheduleRetention();
+  await refreshRecoverableCount();
+  await publishState();
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await stateReady;
+  if (alarm.name === RETENTION_ALARM) await applyRetention();
+  if (alarm.name === WEBHOOK_ALARM) await flushWebhooks();
+});
+
+chrome.permissions.onAdded.addListener(async ({ origins = [] }) => {
+  await stateReady;
+  await syncContentScripts();
+  // Tabs already open on a newly granted host have no content script yet.
+  const added = origins.filter((origin) => OPTIONAL_TEAMS_MATCHES.includes(origin));
+  if (!added.length) return;
+  const tabs = await chrome.tabs.query({ url: added });
+  for (const tab of tabs) {
+    try {
+      await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ["src/content.js"] });
+    } catch {
+      // Tab may be discarded or still loading; the registration covers its next load.
+    }
+  }
+});
+
+chrome.permissions.onRemoved.addListener(syncContentScripts);
+
+// Gain sliders also apply to a recording in progress.
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== "local" || (!changes.micGainDb && !changes.systemGainDb)) return;
+  await stateReady;
+  if (state.recordingState === "idle") return;
+  const gains = {};
+  if (changes.micGainDb) gains.micGainDb = audioSetting("micGainDb", changes.micGainDb.newValue);
+  if (changes.systemGainDb) gains.systemGainDb = audioSetting("systemGainDb", changes.systemGainDb.newValue);
+  await chrome.runtime.sendMessage({ target: "offscreen", type: "OFFSCREEN_SET_GAINS", gains }).catch(() => {});
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await stateReady;
+  const tracked = tabId in state.calls || tabId === state.callTabId;
+  delete state.calls[tabId];
+  if (state.selectedTabId === tabId) state.selectedTabId = null;
+  if (!tracked) return;
+  if (tabId === state.callTabId && state.recordingState !== "idle") {
+    state.callActive = false;
+    await stopRecording();
+  }
+  if (state.recordingState === "idle") focusCall();
   await publishState();
 });
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message?.type) return;
-  handleMessage(message, sender)
+  stateReady
+    .then(() => handleMessage(message, sender))
     .then((result) => sendResponse({ ok: true, result }))
     .catch((error) => {
       state.lastError = error?.message || String(error);
@@ -42,7 +226,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+chrome.downloads.onChanged.addListener((delta) => {
+  const finished = delta.state?.current === "complete" || delta.state?.current === "interrupted";
+  if (finished) releaseBlobUrl(delta.id);
+});
+
 chrome.commands.onCommand.addListener(async (command) => {
+  await stateReady;
   if (command === "toggle-recording") {
     if (state.recordingState === "idle") await startRecording();
     else await stopRecording();
@@ -51,6 +241,7 @@ chrome.commands.onCommand.addListener(async (command) => {
     if (state.recordingState === "recording") await pauseRecording();
     else if (state.recordingState === "paused") await resumeRecording();
   }
+  if (command === "add-marker" && state.recordingState !== "idle") await addMarker("");
 });
 
 async function handleMessage(message, sender) {
@@ -59,235 +250,1279 @@ async function handleMessage(message, sender) {
       return handleCallStatus(message, sender);
     case "GET_STATE":
       return { state };
+    case "POPUP_OPENED":
+      return armCapture();
+    case "GET_DETECTION":
+      return getDetection();
     case "START_RECORDING":
-      return startRecording(message.notes || "");
+      // The on-page panel records its own tab; the popup records the focused call.
+      return startRecording(message.notes || "", sender.tab?.id ?? null);
+    case "SELECT_CALL_TAB":
+      return selectCallTab(message.tabId ?? null);
     case "PAUSE_RECORDING":
       return pauseRecording();
     case "RESUME_RECORDING":
       return resumeRecording();
     case "STOP_RECORDING":
       return stopRecording();
+    case "CANCEL_AUTO_START":
+      return cancelAutoStart(true);
+    case "ADD_MARKER":
+      return addMarker(message.label);
+    case "AUDIO_LEVELS":
+      return handleLevels(message);
+    case "SILENCE_CHANGED":
+      return handleSilenceChanged(message);
     case "RECORDING_CHUNK_READY":
       return handleChunk(message);
     case "RECORDING_FINALIZED":
       return handleFinalized(message);
+    case "RECORDING_FAILED":
+      return handleRecordingFailed(message);
+    case "TRANSCRIPTION_PROGRESS":
+      return handleTranscriptionProgress(message);
+    case "TRANSCRIPTION_DONE":
+      return handleTranscriptionDone(message);
+    case "TRANSCRIPTION_FAILED":
+      return handleTranscriptionFailed(message);
     case "LIST_RECORDINGS":
-      return listRecordings();
+      return listRecordings(message.filter);
+    case "GET_RECORDING":
+      return getRecording(message.id);
     case "DELETE_RECORDING":
       return deleteRecording(message.id);
+    case "SUMMARIZE_RECORDING":
+      return summarizeRecording(message.id);
+    case "SET_STARRED":
+      return updateRecording(message.id, { starred: Boolean(message.starred) });
+    case "GET_USAGE":
+      return getUsage();
+    case "EXPORT_ARCHIVE":
+      return exportArchive();
+    case "IMPORT_ARCHIVE":
+      return importArchive(message.archive, { withSettings: Boolean(message.withSettings) });
+    case "IMPORT_RECORDINGS":
+      return importRecordings(message.records);
+    case "LIST_RECOVERABLE":
+      return findOrphanedSessions();
+    case "RECOVER_SESSION":
+      return recoverSession(message.id);
+    case "DISCARD_SESSION":
+      return discardSession(message.id);
     default:
       return null;
   }
 }
 
 async function handleCallStatus(message, sender) {
-  state.callActive = Boolean(message.callActive);
-  state.callTabId = sender.tab?.id || state.callTabId;
-  state.callTitle = message.meetingTitle || "";
-  state.participantCount = message.participantCount ?? null;
+  const tabId = sender.tab?.id;
+  if (tabId === undefined) return;
+  if (message.callActive) {
+    state.calls[tabId] = {
+      tabId,
+      windowId: sender.tab.windowId,
+      title: message.meetingTitle || "",
+      participantCount: message.participantCount ?? null,
+      since: state.calls[tabId]?.since || Date.now(),
+    };
+  } else {
+    delete state.calls[tabId];
+  }
+  // A tab with no call yet still becomes the focus when nothing else is going on,
+  // so its panel receives state and a manual start records it.
+  if (state.callTabId === null) state.callTabId = tabId;
+  focusCall();
+  if (!state.callActive) autoStartSuppressed = false;
+  await applyAutoStartRules();
+  await publishState();
+  const recordingTabEnded = tabId === state.callTabId && !message.callActive;
+  if (recordingTabEnded && state.recordingState !== "idle") await stopRecording();
+}
+
+/**
+ * Pick the focused call and mirror it into the top-level call fields. While
+ * recording, the recording tab stays focused whatever other tabs report.
+ */
+function focusCall() {
+  const recording = state.recordingState !== "idle";
+  const call = recording
+    ? state.calls[state.callTabId]
+    : state.calls[state.selectedTabId] ||
+      state.calls[state.callTabId] ||
+      Object.values(state.calls).sort((a, b) => b.since - a.since)[0];
+  if (!call) {
+    state.callActive = false;
+    return;
+  }
+  state.callTabId = call.tabId;
+  state.callActive = true;
+  state.callTitle = call.title;
+  state.participantCount = call.participantCount;
+}
+
+async function selectCallTab(tabId) {
+  if (tabId !== null && !state.calls[tabId]) throw new Error("That tab no longer has an active call.");
+  state.selectedTabId = tabId;
+  if (state.recordingState === "idle") {
+    focusCall();
+    await applyAutoStartRules();
+  }
   await publishState();
-  if (!state.callActive && state.recordingState !== "idle") await stopRecording();
 }
 
-async function startRecording(notes = "") {
+// Re-run on every call update: a countdown in progress is cancelled when the
+// title or participant count stops matching, e.g. a call turns out to be 1:1.
+async function applyAutoStartRules() {
+  const needsClick = state.captureBlockedTabId !== null && state.captureBlockedTabId === state.callTabId;
+  if (state.recordingState !== "idle" || autoStartSuppressed || needsClick) {
+    await cancelAutoStart(false);
+    return;
+  }
+  const settings = await chrome.storage.local.get(Object.keys(DEFAULT_SETTINGS));
+  const verdict = evaluateAutoStart(settings, {
+    callActive: state.callActive,
+    title: state.callTitle,
+    participantCount: state.participantCount,
+  });
+  state.autoStartReason = verdict.reason;
+  if (!verdict.start) {
+    await cancelAutoStart(false);
+    return;
+  }
+  if (autoStartTimer) return;
+
+  const delayMs = countdownSeconds(settings) * 1000;
+  state.autoStartAt = Date.now() + delayMs;
+  autoStartTimer = setTimeout(async () => {
+    autoStartTimer = null;
+    state.autoStartAt = null;
+    try {
+      await startRecording(settings.notes || "");
+    } catch (error) {
+      const message = error?.message || String(error);
+      state.lastError = message === CAPTURE_BLOCKED_MESSAGE ? message : `Auto-start failed: ${message}`;
+      await publishState();
+    }
+  }, delayMs);
+}
+
+/**
+ * Stream id for recording `tabId`. Chrome only hands one out for a tab where
+ * the user has invoked the extension since the page loaded (clicking its
+ * toolbar icon); a countdown timer or the in-page panel does not count.
+ */
+async function captureStreamId(tabId) {
+  try {
+    const streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
+    if (state.captureBlockedTabId === tabId) state.captureBlockedTabId = null;
+    return streamId;
+  } catch (error) {
+    if (!/not been invoked/i.test(error?.message || "")) throw error;
+    state.captureBlockedTabId = tabId;
+    throw new Error(CAPTURE_BLOCKED_MESSAGE);
+  }
+}
+
+// Opening the popup on the blocked tab is the click Chrome asks for.
+async function armCapture() {
+  if (state.captureBlockedTabId === null) return;
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (tab?.id !== state.captureBlockedTabId) return;
+  state.captureBlockedTabId = null;
+  if (state.lastError === CAPTURE_BLOCKED_MESSAGE) state.lastError = "";
+  await applyAutoStartRules();
+  await publishState();
+}
+
+async function cancelAutoStart(byUser) {
+  if (byUser) {
+    autoStartSuppressed = true;
+    await persistState();
+  }
+  if (!autoStartTimer && state.autoStartAt === null) return;
+  clearTimeout(autoStartTimer);
+  autoStartTimer = null;
+  state.autoStartAt = null;
+  await publishState();
+}
+
+async function startRecording(notes = "", preferredTabId = null) {
   const settings = await chrome.storage.local.get(Object.keys(DEFAULT_SETTINGS));
   if (!settings.consentAccepted) throw new Error("Consent disclaimer must be accepted.");
   if (state.recordingState !== "idle") throw new Error("Recording already in progress.");
+  await cancelAutoStart(false);
 
-  const tabId = await resolveTeamsTabId();
+  const tabId = await resolveTeamsTabId(preferredTabId);
   if (!tabId) throw new Error("No active Teams call tab found.");
-  state.callTabId = tabId;
 
   const sourceMode = settings.sourceMode || "both";
-  const streamId =
-    sourceMode === "mic"
-      ? null
-      : await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
+  const withVideo = sourceMode === "video";
+  // Video is always muxed into webm; the audio-only encoders do not apply.
+  const format = withVideo ? "webm" : settings.format;
+  const streamId = sourceMode === "mic" ? null : await captureStreamId(tabId);
   await ensureOffscreenDocument();
 
+  // Pin the focus to the recorded tab only now: call updates from other tabs
+  // may arrive while the stream id and offscreen document are being set up.
+  state.callTabId = tabId;
   state.recordingState = "recording";
+  focusCall();
   state.recordingStartedAt = Date.now();
+  state.pausedMs = 0;
+  state.pausedAt = null;
+  state.pauseLog = [];
   state.lastError = "";
-  state.currentFilename = makeFilename(state.callTitle, settings.format, settings.folder);
+  // Provisional: the final name is rendered again at stop, once the duration is known.
+  state.currentFilename = makeFilename(settings.filenameTemplate, settings.folder, format, {
+    startedAt: state.recordingStartedAt,
+    title: state.callTitle,
+    participantCount: state.participantCount,
+  });
+  state.sessionId = crypto.randomUUID();
+  state.chunkCount = 0;
+  state.bytesRecorded = 0;
+  state.markerCount = 0;
   await chrome.storage.local.set({ notes: notes || "" });
   await publishState();
 
   try {
-    await chrome.runtime.sendMessage({
+    const response = await chrome.runtime.sendMessage({
       target: "offscreen",
       type: "OFFSCREEN_START",
       payload: {
+        sessionId: state.sessionId,
         streamId,
         sourceMode,
-        format: settings.format,
+        trackLayout:
+          sourceMode === "both" || withVideo ? settings.trackLayout || "mixed" : "mixed",
+        format,
+        video: withVideo
+          ? {
+              ...(VIDEO_PRESETS[settings.videoResolution] || VIDEO_PRESETS["720p"]),
+              frameRate: Number(settings.videoFrameRate) || 30,
+            }
+          : null,
+        mp3: {
+          bitrate: Number(settings.mp3Bitrate) || 128,
+          channels: settings.channels === "mono" ? 1 : 2,
+        },
+        wav: {
+          sampleRate: Number(settings.wavSampleRate) || 48000,
+          bitDepth: Number(settings.wavBitDepth) || 16,
+          channels: settings.channels === "mono" ? 1 : 2,
+        },
         beepOnStart: settings.beepOnStart,
+        silenceWarningSec: Number(settings.silenceWarningSec) || 0,
+        silence: {
+          action: settings.silenceAction || "off",
+          minSec: audioSetting("silenceMinSec", settings.silenceMinSec),
+          levelDb: audioSetting("silenceLevelDb", settings.silenceLevelDb),
+        },
+        processing: {
+          micGainDb: audioSetting("micGainDb", settings.micGainDb),
+          systemGainDb: audioSetting("systemGainDb", settings.systemGainDb),
+          compressor: Boolean(settings.compressor),
+          noiseGate: Boolean(settings.noiseGate),
+          noiseGateDb: audioSetting("noiseGateDb", settings.noiseGateDb),
+          normalize: Boolean(settings.normalize),
+          normalizeTargetDb: audioSetting("normalizeTargetDb", settings.normalizeTargetDb),
+        },
         metadata: {
           startedAt: state.recordingStartedAt,
           meetingTitle: state.callTitle || "TeamsCall",
           participantCount: state.participantCount,
+          filename: state.currentFilename,
+          folder: settings.folder,
+          filenameTemplate: settings.filenameTemplate,
+          notes: notes || "",
         },
       },
     });
+    if (!response?.ok) throw new Error(response?.error || "Recorder failed to start.");
   } catch (error) {
-    state.recordingState = "idle";
-    state.recordingStartedAt = null;
-    state.currentFilename = "";
+    resetRecordingState();
     await publishState();
     throw error;
   }
+  await queueWebhook("recording.started", { sessionId: state.sessionId, recording: liveRecording() });
 }
 
-async function pauseRecording() {
+function resetRecordingState() {
+  state.recordingState = "idle";
+  state.recordingStartedAt = null;
+  state.pausedAt = null;
+  state.currentFilename = "";
+  state.sessionId = null;
+  state.markerCount = 0;
+  state.pauseLog = [];
+  state.levels = null;
+  focusCall();
+}
+
+async function restoreState() {
+  try {
+    const stored = await chrome.storage.session.get(["runtimeState", "autoStartSuppressed"]);
+    // A countdown's timer died with the previous worker; the next call update restarts it.
+    if (stored.runtimeState) Object.assign(state, stored.runtimeState, { autoStartAt: null });
+    autoStartSuppressed = Boolean(stored.autoStartSuppressed);
+    await reconcileWithRecorder();
+  } catch (error) {
+    state.lastError = `Could not restore recorder state: ${error?.message || error}`;
+  }
+}
+
+/**
+ * The offscreen document is the source of truth for whether audio is being
+ * captured. Adopt a recording it is still making, drop one it is not, and
+ * forget a transcription that is no longer running.
+ */
+async function reconcileWithRecorder() {
+  const recorder = (await hasOffscreenDocument()) ? await queryRecorderStatus() : null;
+  if (recorder?.transcribingId !== state.transcription?.recordingId) state.transcription = null;
+  // RECORDING_FINALIZED is on its way and settles the state with the metadata.
+  if (recorder?.finalizing) return;
+
+  if (!recorder?.recording) {
+    if (state.recordingState !== "idle") {
+      resetRecordingState();
+      await refreshRecoverableCount();
+    }
+    return;
+  }
+
+  if (recorder.sessionId !== state.sessionId) {
+    // Nothing usable was stored (e.g. storage.session was cleared), so rebuild
+    // what we can from the chunk store, pauses included.
+    const session = await getSession(recorder.sessionId);
+    const pauseLog = session?.pauseLog || [];
+    const openPause = pauseLog.find((pause) => pause.resumedAt === null);
+    state.sessionId = recorder.sessionId;
+    state.recordingStartedAt = session?.startedAt || Date.now();
+    state.currentFilename = session?.filename || "";
+    state.callTitle = session?.meetingTitle || state.callTitle;
+    state.pauseLog = pauseLog;
+    state.pausedMs = pauseLog.reduce((sum, pause) => sum + (pause.resumedAt ?? pause.pausedAt) - pause.pausedAt, 0);
+    state.pausedAt = openPause?.pausedAt ?? null;
+    state.chunkCount = session?.chunkCount || 0;
+    state.bytesRecorded = session?.bytes || 0;
+  }
+  const recordingState = recorder.paused ? "paused" : "recording";
+  if (recordingState === "paused" && state.pausedAt === null) state.pausedAt = Date.now();
+  if (recordingState === "paused" && !state.pauseLog.some((pause) => pause.resumedAt === null)) {
+    state.pauseLog.push({ pausedAt: state.pausedAt, resumedAt: null, offsetMs: recordedOffsetMs(state, state.pausedAt) });
+  }
+  if (recordingState === "recording" && state.pausedAt !== null) {
+    const resumedAt = Date.now();
+    state.pausedMs += resumedAt - state.pausedAt;
+    state.pausedAt = null;
+    state.pauseLog.forEach((pause) => {
+      if (pause.resumedAt === null) pause.resumedAt = resumedAt;
+    });
+  }
+  state.recordingState = recordingState;
+}
+
+async function queryRecorderStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ target: "offscreen", type: "OFFSCREEN_STATUS" });
+    return response?.ok ? response.result : null;
+  } catch {
+    return null;
+  }
+}
+
+async function persistState() {
+  await chrome.storage.session.set({ runtimeState: state, autoStartSuppressed });
+}
+
+// `auto` marks a pause made by silence detection, which may also end it.
+async function pauseRecording(auto = false) {
   if (state.recordingState !== "recording") return;
   await chrome.runtime.sendMessage({ target: "offscreen", type: "OFFSCREEN_PAUSE" });
   state.recordingState = "paused";
+  state.pausedAt = Date.now();
+  const offsetMs = recordedOffsetMs(state, state.pausedAt);
+  state.pauseLog.push({ pausedAt: state.pausedAt, resumedAt: null, offsetMs, auto });
+  await savePauseLog();
   await publishState();
+  await queueWebhook("recording.paused", { sessionId: state.sessionId, recording: liveRecording() });
 }
 
 async function resumeRecording() {
   if (state.recordingState !== "paused") return;
   await chrome.runtime.sendMessage({ target: "offscreen", type: "OFFSCREEN_RESUME" });
+  const resumedAt = Date.now();
   state.recordingState = "recording";
+  state.pausedMs += resumedAt - (state.pausedAt || resumedAt);
+  state.pausedAt = null;
+  const open = state.pauseLog[state.pauseLog.length - 1];
+  if (open && open.resumedAt === null) open.resumedAt = resumedAt;
+  await savePauseLog();
   await publishState();
 }
 
+// Mirrored into the chunk store so a recovered session keeps its pauses too.
+async function savePauseLog() {
+  if (!state.sessionId) return;
+  try {
+    await updateSession(state.sessionId, { pauseLog: state.pauseLog });
+  } catch {
+    // Recovery only; the live log in state is what a normal stop uses.
+  }
+}
+
+// The recorder's silence detection pauses on a long silence and resumes when
+// sound returns, but never resumes a pause the user made.
+async function handleSilenceChanged(message) {
+  if (message.sessionId !== state.sessionId) return;
+  if (message.silent) {
+    await pauseRecording(true);
+  } else if (state.recordingState === "paused" && state.pauseLog[state.pauseLog.length - 1]?.auto) {
+    await resumeRecording();
+  }
+}
+
+/**
+ * Meter readings arrive several times a second, too often to go through
+ * publishState() and storage. They are relayed to the popup and the
+ * recording tab's panel as they are; a change in which sources are silent
+ * is also published like any other state change.
+ */
+async function handleLevels(message) {
+  if (message.sessionId !== state.sessionId || state.recordingState === "idle") return;
+  const silentKey = (levels) => ["mic", "system"].filter((source) => levels?.[source]?.silent).join();
+  const silenceChanged = silentKey(message.levels) !== silentKey(state.levels);
+  state.levels = message.levels;
+  chrome.runtime.sendMessage({ type: "LEVELS_CHANGED", levels: state.levels }).catch(() => {
+    // No popup open.
+  });
+  if (state.callTabId !== null) {
+    chrome.tabs.sendMessage(state.callTabId, { type: "LEVELS_CHANGED", levels: state.levels }).catch(() => {});
+  }
+  if (silenceChanged) await publishState();
+}
+
 async function stopRecording() {
   if (state.recordingState === "idle") return;
-  await chrome.runtime.sendMessage({ target: "offscreen", type: "OFFSCREEN_STOP" });
+  // Taken first: the recorder may finalize, and reset the state, before it answers.
+  const sessionId = state.sessionId;
+  const recording = liveRecording();
+  const response = await chrome.runtime.sendMessage({ target: "offscreen", type: "OFFSCREEN_STOP" });
+  if (!response?.ok) throw new Error(response?.error || "Recorder failed to stop.");
+  // Only announced once the recorder has actually stopped.
+  await queueWebhook("recording.stopped", { sessionId, recording });
+}
+
+// The fields of the saved record that are already known while recording.
+function liveRecording() {
+  return {
+    filename: state.currentFilename,
+    startedAt: state.recordingStartedAt,
+    durationSec: Math.round(recordedOffsetMs(state) / 1000),
+    pauseLog: state.pauseLog,
+    meetingTitle: state.callTitle || "TeamsCall",
+    participantCount: state.participantCount,
+  };
+}
+
+// Markers are kept in storage, keyed by session like the live transcript, so a
+// worker restart or a crash recovery does not lose them.
+async function addMarker(label) {
+  if (state.recordingState === "idle" || !state.sessionId) {
+    throw new Error("Markers can only be added while recording.");
+  }
+  const { pendingMarkers } = await chrome.storage.local.get(["pendingMarkers"]);
+  const markers = pendingMarkers?.sessionId === state.sessionId ? pendingMarkers.markers || [] : [];
+  const marker = {
+    offsetMs: recordedOffsetMs(state),
+    label: String(label || "").trim().slice(0, MAX_MARKER_LABEL),
+    createdAt: Date.now(),
+  };
+  markers.push(marker);
+  await chrome.storage.local.set({ pendingMarkers: { sessionId: state.sessionId, markers } });
+  state.markerCount = markers.length;
+  await publishState();
+  return marker;
 }
 
-async function handleChunk(_message) {
+async function handleChunk(message) {
+  if (!message.sessionId || message.sessionId !== state.sessionId) return false;
+  if ((message.track || "main") === "main") state.chunkCount = message.seq + 1;
+  state.bytesRecorded += message.size || 0;
+  if (message.persisted === false) {
+    state.lastError = `Chunk could not be saved for crash recovery: ${message.error}`;
+    await publishState();
+  }
   return true;
 }
 
 async function handleFinalized(message) {
-  const settings = await chrome.storage.local.get(["folder", "notes", "pendingTranscript"]);
+  // Recovered sessions finalize while another recording may be running, so only
+  // the session that is actually active may touch the live runtime state.
+  const isActiveSession = !message.sessionId || message.sessionId === state.sessionId;
+  const session = message.session || {};
+  const settings = await chrome.storage.local.get([
+    "folder",
+    "filenameTemplate",
+    "notes",
+    "pendingTranscript",
+    "pendingMarkers",
+    "pendingTimeline",
+    "offlineTranscription",
+    "offlineTranscriptionSource",
+    "offlineTranscriptionLanguage",
+  ]);
   const finalizedFormat = message.format || "webm";
-  const fallbackFilename = makeFilename(state.callTitle, finalizedFormat, settings.folder);
-  const finalFilename = applyFormatToFilename(
-    state.currentFilename || fallbackFilename,
-    finalizedFormat
+  const meetingTitle = (isActiveSession ? state.callTitle : "") || session.meetingTitle || "TeamsCall";
+  const startedAt = session.startedAt || (isActiveSession ? state.recordingStartedAt : null);
+  const folder = session.folder || settings.folder;
+  const participantCount = isActiveSession ? state.participantCount : session.participantCount ?? null;
+  // content.js keeps the running session's transcript in storage, keyed by
+  // session, as segments arrive, so a recovered session finds its own too.
+  const pending = settings.pendingTranscript;
+  const pendingTimeline = settings.pendingTimeline;
+  const timeline =
+    pendingTimeline?.sessionId && pendingTimeline.sessionId === message.sessionId
+      ? { events: pendingTimeline.events || [], speaking: pendingTimeline.speaking || [] }
+      : null;
+  // Everything above was timed against the live recording; a trimmed file is
+  // shorter, so move every offset onto it (after labelling, which needs both
+  // sides on the same clock).
+  const trimmedRanges = message.trimmedRanges || [];
+  const trim = (ms) => trimmedOffset(ms, trimmedRanges);
+  const transcriptSegments = trimSegments(
+    labelSegments(
+      pending?.sessionId && pending.sessionId === message.sessionId ? pending.segments || [] : [],
+      timeline?.speaking
+    ),
+    trimmedRanges
+  );
+  const transcript = transcriptText(transcriptSegments);
+  const markers =
+    settings.pendingMarkers?.sessionId && settings.pendingMarkers.sessionId === message.sessionId
+      ? [...(settings.pendingMarkers.markers || [])]
+          .map((marker) => ({ ...marker, offsetMs: trim(marker.offsetMs) }))
+          .sort((a, b) => a.offsetMs - b.offsetMs)
+      : [];
+  if (timeline && trimmedRanges.length) {
+    timeline.events = timeline.events.map((event) => ({ ...event, at: trim(event.at) }));
+    timeline.speaking = trimSegments(timeline.speaking, trimmedRanges).filter((span) => span.end > span.start);
+  }
+
+  // A crashed session ends at its last persisted chunk, not at recovery time.
+  const endedAt = message.partial ? session.updatedAt || Date.now() : Date.now();
+  const pauseLog = ((isActiveSession ? state.pauseLog : session.pauseLog) || []).map((pause) => ({
+    ...pause,
+    offsetMs: trim(pause.offsetMs),
+  }));
+  const { wallMs, recordedMs: capturedMs } = recordingDurations(startedAt, endedAt, pauseLog);
+  const trimmedMs = trimmedRanges.reduce((sum, range) => sum + range.end - range.start, 0);
+  const recordedMs = Math.max(0, capturedMs - trimmedMs);
+  // Rendered from the template the recording started with, now that the
+  // duration is known; sidecars below share its base name.
+  const finalFilename = makeFilename(
+    session.filenameTemplate ?? settings.filenameTemplate,
+    folder,
+    finalizedFormat,
+    { startedAt, title: meetingTitle, participantCount, durationSec: recordedMs / 1000 }
   );
-  // Pick up transcript written by content.js before it notified us of stop.
-  const transcript = (settings.pendingTranscript || "").trim();
 
+  // Kept out of the retention run below, which would otherwise delete a
+  // recording larger than the quota while its minutes are still being written.
+  let savedId = null;
   try {
-    const downloadId = await saveBlobToDownloads(message.blobDataUrl, finalFilename);
+    const downloadId = await saveBlobUrlToDownloads(message.blobUrl, finalFilename);
     state.latestDownloadId = downloadId;
+    const base = finalFilename.replace(/\.[^.]+$/, "");
+    const tracks = await saveTracks(message, finalFilename, base);
 
-    const endedAt = Date.now();
     const record = {
       id: crypto.randomUUID(),
       filename: finalFilename,
       downloadId,
-      createdAt: endedAt,
-      startedAt: state.recordingStartedAt,
+      createdAt: Date.now(),
+      startedAt,
       endedAt,
-      durationSec: Math.max(0, Math.round((endedAt - (state.recordingStartedAt || endedAt)) / 1000)),
-      meetingTitle: state.callTitle || "TeamsCall",
-      participantCount: state.participantCount,
-      notes: settings.notes || "",
+      // Length of the audio; the wall-clock span also counts time spent paused.
+      durationSec: Math.round(recordedMs / 1000),
+      wallDurationSec: Math.round(wallMs / 1000),
+      pauseLog,
+      silence: session.silence || null,
+      processing: session.processing || null,
+      // Silences cut from the file, as { start, end } ms into the untrimmed audio.
+      trimmedRanges,
+      meetingTitle,
+      participantCount,
+      notes: (isActiveSession ? settings.notes : session.notes) || "",
       format: finalizedFormat,
-      folder: settings.folder,
+      requestedFormat: session.format || finalizedFormat,
+      // Why the file is webm when another format was asked for, else null.
+      formatFallback: message.formatFallback || null,
+      encoding: message.encoding || null,
+      folder,
       transcript,
+      transcriptSegments,
+      markers,
+      timeline,
+      participants: timeline
+        ? summarizeTimeline(timeline, recordedMs)
+        : [],
+      partial: Boolean(message.partial),
+      sizeBytes: message.size ?? null,
+      trackLayout: message.trackLayout || "mixed",
+      tracks,
+      video: session.video || null,
+      offlineTranscript: settings.offlineTranscription ? { status: "pending" } : null,
+      // Files saved next to the recording; deleted with it and counted in its size.
+      sidecars: [],
     };
 
-    const base = finalFilename.replace(/\.[^.]+$/, "");
-
-    const metadataName = `${base}.json`;
-    await saveBlobToDownloads(
-      `data:application/json;charset=utf-8,${encodeURIComponent(JSON.stringify(record, null, 2))}`,
-      metadataName
-    );
-
-    // Save the transcript as a plain-text file alongside the recording.
+    // Save the transcript as plain text plus SRT/VTT captions alongside the recording.
     if (transcript) {
-      const transcriptName = `${base}.txt`;
-      await saveBlobToDownloads(
-        `data:text/plain;charset=utf-8,${encodeURIComponent(transcript)}`,
-        transcriptName
+      record.sidecars.push(
+        await saveSidecar(`${base}.txt`, "text/plain", transcript),
+        await saveSidecar(`${base}.srt`, "application/x-subrip", formatSrt(transcriptSegments)),
+        await saveSidecar(`${base}.vtt`, "text/vtt", formatVtt(transcriptSegments))
       );
     }
+    // Written last so it lists the others; it cannot list itself.
+    const metadata = await saveSidecar(`${base}.json`, "application/json", JSON.stringify(record, null, 2));
+    record.sidecars.push(metadata);
 
-    const existing = await chrome.storage.local.get(["recordings"]);
-    const recordings = Array.isArray(existing.recordings) ? existing.recordings : [];
-    recordings.unshift(record);
+    await withRecordings((recordings) => [record, ...recordings]);
+    savedId = record.id;
+    if (record.formatFallback) {
+      state.lastError = `Saved as .${finalizedFormat} instead of .${session.format}: ${record.formatFallback}.`;
+    }
     await chrome.storage.local.set({
-      recordings: recordings.slice(0, 200),
-      notes: "",
-      pendingTranscript: "",
+      ...(isActiveSession ? { notes: "" } : {}),
+      ...(transcriptSegments.length ? { pendingTranscript: null } : {}),
+      ...(markers.length ? { pendingMarkers: null } : {}),
+      ...(timeline ? { pendingTimeline: null } : {}),
     });
+    await queueWebhook("recording.saved", { sessionId: message.sessionId ?? null, recording: record });
+
+    // The files are handed to the downloads manager, so the chunks can go.
+    if (message.sessionId) await deleteSession(message.sessionId);
+
+    // The offscreen document still holds the audio and transcribes it next;
+    // the minutes wait for that transcript.
+    if (!settings.offlineTranscription) {
+      // Not awaited: the minutes can take minutes. Failures end up on the record.
+      summarizeRecording(record.id, { auto: true }).catch(() => {});
+      return { id: record.id, transcription: null };
+    }
+    state.transcription = { recordingId: record.id, title: meetingTitle, progress: 0 };
+    return {
+      id: record.id,
+      transcription: {
+        source: settings.offlineTranscriptionSource || "mix",
+        language: settings.offlineTranscriptionLanguage || "auto",
+      },
+    };
   } finally {
-    state.recordingState = "idle";
-    state.recordingStartedAt = null;
-    state.currentFilename = "";
+    if (isActiveSession) resetRecordingState();
+    await refreshRecoverableCount();
     await publishState();
+    // Not awaited: a failing cleanup must not turn into a failed save, which
+    // would leave the offscreen document without its transcription settings.
+    applyRetention({ keep: savedId }).catch(() => {});
   }
 }
 
-async function listRecordings() {
+// The recorder could not put the file together. Its chunks are still in
+// IndexedDB, so the session is offered for recovery once the state is reset.
+async function handleRecordingFailed(message) {
+  if (!message.sessionId || message.sessionId === state.sessionId) resetRecordingState();
+  state.lastError = `The recording could not be saved: ${message.error || "unknown error"}. Try recovering it.`;
+  await refreshRecoverableCount();
+  await publishState();
+}
+
+// Copy of `spans` ({ start, end } in ms) moved onto a file with `ranges` trimmed out.
+function trimSegments(spans, ranges) {
+  if (!ranges?.length) return spans;
+  return spans.map((span) => ({
+    ...span,
+    start: trimmedOffset(span.start, ranges),
+    end: trimmedOffset(span.end, ranges),
+  }));
+}
+
+function handleTranscriptionProgress(message) {
+  if (state.transcription?.recordingId !== message.recordingId) return;
+  state.transcription.progress = Math.max(0, Math.min(1, Number(message.progress) || 0));
+  publishState();
+}
+
+async function handleTranscriptionDone(message) {
+  const target = await getRecording(message.recordingId);
+  // Whisper heard the untrimmed webm mix, while the timeline is already on the saved file's clock.
+  const segments = labelSegments(
+    trimSegments(Array.isArray(message.segments) ? message.segments : [], target?.trimmedRanges),
+    target?.timeline?.speaking
+  );
+  const record = await updateRecording(message.recordingId, {
+    offlineTranscript: {
+      status: "done",
+      model: message.model || "",
+      language: message.language || "",
+      segments,
+      text: transcriptText(segments),
+      completedAt: Date.now(),
+    },
+  });
+  try {
+    if (record && segments.length) {
+      const base = record.filename.replace(/\.[^.]+$/, "");
+      await addSidecars(record.id, [
+        await saveSidecar(`${base}.offline.txt`, "text/plain", record.offlineTranscript.text),
+        await saveSidecar(`${base}.offline.srt`, "application/x-subrip", formatSrt(segments)),
+        await saveSidecar(`${base}.offline.vtt`, "text/vtt", formatVtt(segments)),
+      ]);
+    }
+  } finally {
+    await finishTranscription(message.recordingId);
+  }
+}
+
+async function handleTranscriptionFailed(message) {
+  await updateRecording(message.recordingId, {
+    offlineTranscript: { status: "failed", error: message.error || "Transcription failed." },
+  });
+  await finishTranscription(message.recordingId);
+}
+
+async function finishTranscription(recordingId) {
+  if (state.transcription?.recordingId === recordingId) state.transcription = null;
+  await publishState();
+  summarizeRecording(recordingId, { auto: true }).catch(() => {});
+}
+
+/**
+ * Write meeting minutes for a recording and save them as a .summary.md
+ * sidecar. `auto` runs come from a finished recording or transcription and
+ * only happen when summaries are turned on and there is a transcript; the
+ * library's re-run always tries. Failures are stored on the recording.
+ */
+async function summarizeRecording(id, { auto = false } = {}) {
+  const settings = await chrome.storage.local.get([
+    "summaryEnabled",
+    "summaryEndpoint",
+    "summaryModel",
+    "summaryApiKey",
+  ]);
+  if (auto && !settings.summaryEnabled) return null;
+  const record = await getRecording(id);
+  const request = record && buildSummaryMessages(record);
+  if (auto && (!request || summarizing.has(id))) return null;
+  if (!record) throw new Error("Recording not found.");
+  if (!request) throw new Error("This recording has no transcript to summarize.");
+  if (summarizing.has(id)) throw new Error("This recording is already being summarized.");
+
+  summarizing.add(id);
+  try {
+    await updateRecording(id, { summary: { status: "pending", startedAt: Date.now() } });
+    const { text, model } = await requestSummary({
+      endpoint: settings.summaryEndpoint,
+      model: settings.summaryModel,
+      apiKey: settings.summaryApiKey,
+      messages: request.messages,
+    });
+    const filename = `${record.filename.replace(/\.[^.]+$/, "")}.summary.md`;
+    const markdown = formatSummaryMarkdown(record, { text, model, ...request });
+    await addSidecars(id, [await saveSidecar(filename, "text/markdown", markdown)]);
+    const summary = { status: "done", text, model, source: request.source, filename, completedAt: Date.now() };
+    await updateRecording(id, { summary });
+    return summary;
+  } catch (error) {
+    const summary = { status: "failed", error: error?.message || String(error) };
+    await updateRecording(id, { summary });
+    return summary;
+  } finally {
+    summarizing.delete(id);
+  }
+}
+
+// Patches one stored recording in place; returns the updated record or null.
+async function updateRecording(id, patch) {
+  let updated = null;
+  await withRecordings((recordings) =>
+    recordings.map((rec) => {
+      if (rec.id !== id) return rec;
+      updated = { ...rec, ...patch };
+      return updated;
+    })
+  );
+  return updated;
+}
+
+// Describes every track in the recording so transcription and level fixes can
+// address each side of the call. Separate-layout source files are saved here.
+async function saveTracks(message, finalFilename, base) {
+  const layout = message.trackLayout || "mixed";
+  if (layout === "stereo") {
+    return [
+      { name: "mic", filename: finalFilename, channel: "left" },
+      { name: "system", filename: finalFilename, channel: "right" },
+    ];
+  }
+  const tracks = [{ name: "mix", filename: finalFilename, channel: "all" }];
+  for (const track of message.tracks || []) {
+    const filename = `${base}.${track.track}.${normalizeExtension(track.format)}`;
+    const downloadId = await saveBlobUrlToDownloads(track.blobUrl, filename);
+    tracks.push({ name: track.track, filename, downloadId, channel: "all", sizeBytes: track.size ?? null });
+  }
+  return tracks;
+}
+
+async function findOrphanedSessions() {
+  const sessions = await listSessions();
+  // Without an offscreen document nothing can still be writing to a session.
+  const recorderAlive = await hasOffscreenDocument();
+  return sessions.filter((session) => !(recorderAlive && session.id === state.sessionId));
+}
+
+async function refreshRecoverableCount() {
+  try {
+    const orphans = await findOrphanedSessions();
+    state.recoverableCount = orphans.length;
+  } catch {
+    state.recoverableCount = 0;
+  }
+}
+
+async function recoverSession(id) {
+  const orphans = await findOrphanedSessions();
+  const session = orphans.find((s) => s.id === id);
+  if (!session) throw new Error("Recording session is not recoverable.");
+  if (!session.chunkCount) {
+    await discardSession(id);
+    throw new Error("Recording session contains no audio.");
+  }
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    target: "offscreen",
+    type: "OFFSCREEN_RECOVER",
+    sessionId: id,
+  });
+  if (!response?.ok) throw new Error(response?.error || "Recovery failed.");
+}
+
+async function discardSession(id) {
+  if (!id) return;
+  await deleteSession(id);
+  await refreshRecoverableCount();
+  await publishState();
+}
+
+async function loadRecordings() {
   const data = await chrome.storage.local.get(["recordings"]);
   return Array.isArray(data.recordings) ? data.recordings : [];
 }
 
+/**
+ * Run `update(recordings)` and store the list it returns. Every change to the
+ * index goes through here, one at a time: a transcription finishing, a
+ * summary, a star and the retention alarm can otherwise interleave their
+ * load and save and lose each other's changes. `update` is synchronous; slow
+ * work (the downloads API, network) belongs before or after it.
+ */
+function withRecordings(update) {
+  const run = recordingsTail.then(async () => {
+    const next = update(await loadRecordings());
+    await chrome.storage.local.set({ recordings: next });
+    return next;
+  });
+  recordingsTail = run.catch(() => {});
+  return run;
+}
+
+// Backs both the popup (latest few) and the library page (search + filters).
+async function listRecordings(filter = {}) {
+  const matches = filterRecordings(await loadRecordings(), filter);
+  const offset = Math.max(0, Number(filter.offset) || 0);
+  const limit = Number(filter.limit) > 0 ? Number(filter.limit) : matches.length;
+  return { items: matches.slice(offset, offset + limit), total: matches.length };
+}
+
+async function getRecording(id) {
+  const recordings = await loadRecordings();
+  return recordings.find((r) => r.id === id) || null;
+}
+
+function filterRecordings(recordings, filter) {
+  const terms = String(filter.query || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  const from = Number(filter.from) || null;
+  const to = Number(filter.to) || null;
+  const minDuration = Number(filter.minDurationSec) || null;
+  const maxDuration = Number(filter.maxDurationSec) || null;
+
+  return recordings.filter((rec) => {
+    const startedAt = rec.startedAt || rec.createdAt;
+    if (from && startedAt < from) return false;
+    if (to && startedAt > to) return false;
+    if (minDuration && (rec.durationSec || 0) < minDuration) return false;
+    if (maxDuration && (rec.durationSec || 0) > maxDuration) return false;
+    if (filter.format && rec.format !== filter.format) return false;
+    if (!terms.length) return true;
+    const haystack = [
+      rec.meetingTitle,
+      rec.notes,
+      rec.transcript,
+      rec.offlineTranscript?.text,
+      rec.summary?.text,
+      ...(rec.markers || []).map((marker) => marker.label),
+      ...(rec.participants || []).map((participant) => participant.name),
+      rec.filename,
+    ]
+      .join("\n")
+      .toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+}
+
 async function deleteRecording(id) {
   if (!id) return;
-  const data = await chrome.storage.local.get(["recordings"]);
-  const recordings = Array.isArray(data.recordings) ? data.recordings : [];
-  const target = recordings.find((r) => r.id === id);
-  if (target?.downloadId) {
+  await deleteRecordings((recordings) => recordings.filter((r) => r.id === id));
+}
+
+// Drops the records `pick(recordings)` returns from the index, then their
+// files, so a record never outlives the index write that removed it.
+async function deleteRecordings(pick) {
+  let removed = [];
+  await withRecordings((recordings) => {
+    removed = pick(recordings);
+    return recordings.filter((rec) => !removed.includes(rec));
+  });
+  for (const rec of removed) await removeDownloads(rec);
+  return removed;
+}
+
+async function removeDownloads(rec) {
+  const files = [...(rec.tracks || []), ...(rec.sidecars || [])];
+  const downloadIds = [rec.downloadId, ...files.map((file) => file.downloadId)];
+  for (const downloadId of downloadIds) {
+    if (!downloadId) continue;
     try {
-      await chrome.downloads.removeFile(target.downloadId);
+      await chrome.downloads.removeFile(downloadId);
     } catch {
       // Ignore if file missing or blocked.
     }
-    await chrome.downloads.erase({ id: target.downloadId });
+    await chrome.downloads.erase({ id: downloadId });
   }
-  await chrome.storage.local.set({ recordings: recordings.filter((r) => r.id !== id) });
 }
 
-async function resolveTeamsTabId() {
+async function scheduleRetention() {
+  if (await chrome.alarms.get(RETENTION_ALARM)) return;
+  await chrome.alarms.create(RETENTION_ALARM, { periodInMinutes: RETENTION_PERIOD_MIN });
+}
+
+// Bytes a recording takes in Downloads: its file plus any separate track files.
+function recordingBytes(rec) {
+  const files = [...(rec.tracks || []), ...(rec.sidecars || [])].filter((file) => file.downloadId);
+  return (rec.sizeBytes || 0) + files.reduce((sum, file) => sum + (file.sizeBytes || 0), 0);
+}
+
+async function getUsage() {
+  const recordings = await loadRecordings();
+  const { retentionLastRun } = await chrome.storage.local.get(["retentionLastRun"]);
+  return {
+    count: recordings.length,
+    totalBytes: recordings.reduce((sum, rec) => sum + recordingBytes(rec), 0),
+    starred: recordings.filter((rec) => rec.starred).length,
+    lastRun: retentionLastRun || null,
+  };
+}
+
+/**
+ * Delete what the retention settings no longer allow, oldest first: anything
+ * older than `retentionDays`, then more than `retentionMaxCount` recordings,
+ * then more than `retentionMaxGb`. Starred recordings count towards the
+ * limits but are never deleted, and neither is one still being transcribed or
+ * summarized, or `keep`.
+ */
+async function applyRetention({ keep = null } = {}) {
+  const settings = await chrome.storage.local.get(["retentionDays", "retentionMaxCount", "retentionMaxGb"]);
+  const days = Number(settings.retentionDays) || 0;
+  const maxCount = Number(settings.retentionMaxCount) || 0;
+  const maxBytes = (Number(settings.retentionMaxGb) || 0) * 1024 ** 3;
+  if (!days && !maxCount && !maxBytes) return { deleted: 0, freedBytes: 0 };
+
+  const limits = { days, maxCount, maxBytes, keep };
+  const removed = await deleteRecordings((recordings) => expiredRecordings(recordings, limits));
+  const freedBytes = removed.reduce((sum, rec) => sum + recordingBytes(rec), 0);
+  const result = { deleted: removed.length, freedBytes };
+  if (removed.length) await chrome.storage.local.set({ retentionLastRun: { at: Date.now(), ...result } });
+  return result;
+}
+
+function expiredRecordings(recordings, { days, maxCount, maxBytes, keep }) {
+  const startOf = (rec) => rec.startedAt || rec.createdAt || 0;
+  const newestFirst = [...recordings].sort((a, b) => startOf(b) - startOf(a));
+  const deletable = (rec) =>
+    !rec.starred && rec.id !== keep && rec.id !== state.transcription?.recordingId && !summarizing.has(rec.id);
+  const doomed = new Set();
+  if (days) {
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    for (const rec of newestFirst) if (deletable(rec) && startOf(rec) < cutoff) doomed.add(rec.id);
+  }
+  let count = newestFirst.length - doomed.size;
+  let bytes = newestFirst.filter((rec) => !doomed.has(rec.id)).reduce((sum, rec) => sum + recordingBytes(rec), 0);
+  for (const rec of [...newestFirst].reverse()) {
+    const overCount = maxCount && count > maxCount;
+    const overBytes = maxBytes && bytes > maxBytes;
+    if (!overCount && !overBytes) break;
+    if (doomed.has(rec.id) || !deletable(rec)) continue;
+    doomed.add(rec.id);
+    count -= 1;
+    bytes -= recordingBytes(rec);
+  }
+  return recordings.filter((rec) => doomed.has(rec.id));
+}
+
+/**
+ * Everything needed to restore the library elsewhere: the recordings index
+ * (transcripts, markers and timelines are part of each record) and the
+ * settings. The audio itself stays in Downloads.
+ */
+async function exportArchive() {
+  const keys = Object.keys(DEFAULT_SETTINGS).filter((key) => !LOCAL_ONLY_SETTINGS.includes(key));
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: Date.now(),
+    settings: await chrome.storage.local.get(keys),
+    recordings: await loadRecordings(),
+  };
+}
+
+async function importArchive(archive, { withSettings = false } = {}) {
+  if (archive?.format !== ARCHIVE_FORMAT || !Array.isArray(archive.recordings)) {
+    throw new Error("Not a Teams Recorder archive.");
+  }
+  if (Number(archive.version) > ARCHIVE_VERSION) {
+    throw new Error("This archive was made by a newer version of the extension.");
+  }
+  const result = await importRecordings(archive.recordings);
+  if (withSettings && archive.settings && typeof archive.settings === "object") {
+    const settings = {};
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (!LOCAL_ONLY_SETTINGS.includes(key) && archive.settings[key] !== undefined) {
+        settings[key] = archive.settings[key];
+      }
+    }
+    await chrome.storage.local.set(settings);
+    result.settings = Object.keys(settings).length;
+  }
+  return result;
+}
+
+/**
+ * Merge records from an archive or from `.json` sidecars into the index by
+ * `id`. A recording already in the index keeps its own fields; the imported
+ * copy only fills in what it lacks. Download ids are local to the browser
+ * profile that made them, so they are dropped and looked up again by path.
+ */
+async function importRecordings(records) {
+  if (!Array.isArray(records)) throw new Error("Nothing to import.");
+  const valid = records
+    .filter((rec) => typeof rec?.id === "string" && typeof rec.filename === "string")
+    .map(cleanImported);
+  const known = new Set((await loadRecordings()).map((rec) => rec.id));
+  // Looked up before taking the index, which must not wait on the downloads API.
+  const relinked = new Map();
+  for (const incoming of valid) {
+    if (!known.has(incoming.id)) relinked.set(incoming.id, await relinkDownloads(incoming));
+  }
+  let added = 0;
+  let updated = 0;
+  const merged = await withRecordings((recordings) => {
+    const byId = new Map(recordings.map((rec) => [rec.id, rec]));
+    for (const incoming of valid) {
+      const existing = byId.get(incoming.id);
+      if (existing) {
+        byId.set(incoming.id, { ...incoming, ...existing });
+        updated += 1;
+      } else {
+        // Relinked above, unless it was added to the index in the meantime.
+        byId.set(incoming.id, relinked.get(incoming.id) || incoming);
+        added += 1;
+      }
+    }
+    return [...byId.values()].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  });
+  return { added, updated, skipped: records.length - valid.length, total: merged.length };
+}
+
+// Archives and sidecars may have been edited by hand. Fields that feed the
+// retention and quota arithmetic become numbers, or null when they are not.
+const IMPORTED_NUMBERS = ["createdAt", "startedAt", "endedAt", "durationSec", "wallDurationSec", "sizeBytes"];
+
+function cleanImported(record) {
+  const clean = { ...record };
+  for (const key of IMPORTED_NUMBERS) clean[key] = toNumberOrNull(record[key]);
+  const files = (list) =>
+    (Array.isArray(list) ? list : [])
+      .filter((file) => file && typeof file === "object")
+      .map((file) => ({ ...file, sizeBytes: toNumberOrNull(file.sizeBytes) }));
+  clean.tracks = files(record.tracks);
+  clean.sidecars = files(record.sidecars);
+  return clean;
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === "" || typeof value === "boolean") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+async function relinkDownloads(record) {
+  const tracks = [];
+  for (const track of record.tracks || []) {
+    // Stereo tracks are channels of the main file and have no download of their own.
+    tracks.push(track.downloadId ? { ...track, downloadId: await findDownload(track.filename) } : track);
+  }
+  // The .json sidecar a record was rebuilt from is not listed in itself.
+  const metadataName = `${record.filename.replace(/\.[^.]+$/, "")}.json`;
+  const listed = record.sidecars || [];
+  const known = listed.some((sidecar) => sidecar.filename === metadataName);
+  const sidecars = [];
+  for (const sidecar of known ? listed : [...listed, { filename: metadataName }]) {
+    sidecars.push({ ...sidecar, downloadId: await findDownload(sidecar.filename) });
+  }
+  return {
+    ...record,
+    downloadId: await findDownload(record.filename),
+    tracks,
+    sidecars,
+    // A sidecar is written before transcription finishes; nothing is running for it here.
+    offlineTranscript: record.offlineTranscript?.status === "pending" ? null : record.offlineTranscript ?? null,
+    summary: record.summary?.status === "pending" ? null : record.summary ?? null,
+  };
+}
+
+// Download id of an existing file saved at `filename` (relative to Downloads), or null.
+async function findDownload(filename) {
+  if (!filename) return null;
+  const pattern = filename
+    .split("/")
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[\\\\/]");
+  try {
+    const items = await chrome.downloads.search({
+      filenameRegex: `[\\\\/]${pattern}$`,
+      exists: true,
+      orderBy: ["-startTime"],
+    });
+    return items[0]?.id ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// Diagnostics: what the content script's detector currently sees in the Teams tab.
+async function getDetection() {
+  const tabId = await resolveTeamsTabId();
+  if (tabId === null) throw new Error("No Teams tab found.");
+  const result = await chrome.tabs.sendMessage(tabId, { type: "GET_DETECTION" });
+  if (!result) throw new Error("Detector is not running in the Teams tab. Reload the tab and try again.");
+  return result;
+}
+
+// Explicit choices win (the panel's own tab, then the popup's picker), then the
+// focused call; with no call tracked at all, fall back to any open Teams tab.
+async function resolveTeamsTabId(preferredTabId = null) {
+  for (const tabId of [preferredTabId, state.selectedTabId, state.callTabId]) {
+    if (tabId !== null && state.calls[tabId]) return tabId;
+  }
+  if (preferredTabId !== null) return preferredTabId;
   if (state.callTabId !== null) return state.callTabId;
-  const tabs = await chrome.tabs.query({ url: "https://teams.microsoft.com/*" });
+  const tabs = await chrome.tabs.query({ url: await grantedTeamsMatches() });
   return tabs[0]?.id ?? null;
 }
 
+// teams.microsoft.com has a static content script in the manifest; the optional
+// hosts get one registered at runtime for whichever of them are granted.
+async function syncContentScripts() {
+  const granted = (await grantedTeamsMatches()).filter((match) => OPTIONAL_TEAMS_MATCHES.includes(match));
+  const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [OPTIONAL_CONTENT_SCRIPT_ID] });
+  if (existing.length) await chrome.scripting.unregisterContentScripts({ ids: [OPTIONAL_CONTENT_SCRIPT_ID] });
+  if (!granted.length) return;
+  await chrome.scripting.registerContentScripts([
+    { id: OPTIONAL_CONTENT_SCRIPT_ID, matches: granted, js: ["src/content.js"], runAt: "document_idle" },
+  ]);
+}
+
 async function publishState() {
   const label =
     state.recordingState === "recording"
       ? "REC"
       : state.callActive
       ? "CALL"
+      : state.recoverableCount > 0
+      ? "!"
       : "";
   const color =
     state.recordingState === "recording"
       ? "#d91e18"
       : state.callActive
       ? "#1b8f3e"
+      : state.recoverableCount > 0
+      ? "#d97706"
       : "#7a7a7a";
   await chrome.action.setBadgeText({ text: label });
   await chrome.action.setBadgeBackgroundColor({ color });
   await chrome.storage.local.set({ runtimeState: state });
-  try {
-    if (state.callTabId !== null) {
-      await chrome.tabs.sendMessage(state.callTabId, { type: "STATE_CHANGED", state });
+  await persistState();
+  const tabIds = new Set([...Object.keys(state.calls).map(Number), state.callTabId]);
+  tabIds.delete(null);
+  for (const tabId of tabIds) {
+    try {
+      await chrome.tabs.sendMessage(tabId, { type: "STATE_CHANGED", state: stateForTab(tabId) });
+    } catch {
+      // Ignore if tab unavailable.
     }
-  } catch {
-    // Ignore if tab unavailable.
   }
 }
 
-async function ensureOffscreenDocument() {
+// Each Teams tab's panel sees its own call; recording controls and the
+// countdown belong to the focused tab only.
+function stateForTab(tabId) {
+  const captureBlocked = tabId === state.captureBlockedTabId;
+  if (tabId === state.callTabId) return { ...state, captureBlocked };
+  const call = state.calls[tabId];
+  return {
+    ...state,
+    captureBlocked,
+    callActive: Boolean(call),
+    callTitle: call?.title || "",
+    participantCount: call?.participantCount ?? null,
+    recordingState: "idle",
+    recordingStartedAt: null,
+    sessionId: null,
+    autoStartAt: null,
+    markerCount: 0,
+    levels: null,
+  };
+}
+
+async function hasOffscreenDocument() {
   if (chrome.runtime.getContexts) {
     const contexts = await chrome.runtime.getContexts({
       contextTypes: ["OFFSCREEN_DOCUMENT"],
       documentUrls: [chrome.runtime.getURL("src/offscreen.html")],
     });
-    if (contexts.length > 0) return;
-  } else {
-    const existing = await chrome.offscreen.hasDocument?.();
-    if (existing) return;
+    return contexts.length > 0;
   }
+  return Boolean(await chrome.offscreen.hasDocument?.());
+}
+
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) return;
   await chrome.offscreen.createDocument({
     url: "src/offscreen.html",
     reasons: ["USER_MEDIA", "BLOBS"],
@@ -295,9 +1530,9 @@ async function ensureOffscreenDocument() {
   });
 }
 
-async function saveBlobToDownloads(blobDataUrl, filename) {
+async function saveBlobToDownloads(url, filename) {
   const id = await chrome.downloads.download({
-    url: blobDataUrl,
+    url,
     filename,
     saveAs: false,
     conflictAction: "uniquify",
@@ -305,31 +1540,59 @@ async function saveBlobToDownloads(blobDataUrl, filename) {
   return id;
 }
 
-function makeFilename(title, format, folder) {
-  const safeTitle = sanitize(title || "TeamsCall");
-  const now = new Date();
-  const yyyy = now.getFullYear();
-  const mm = String(now.getMonth() + 1).padStart(2, "0");
-  const dd = String(now.getDate()).padStart(2, "0");
-  const hh = String(now.getHours()).padStart(2, "0");
-  const min = String(now.getMinutes()).padStart(2, "0");
-  const ext = normalizeExtension(format);
-  return `${sanitize(folder || "TeamsRecordings")}/Teams_${yyyy}-${mm}-${dd}_${hh}-${min}_${safeTitle}.${ext}`;
+// Saves `text` next to a recording; returns the entry for its `sidecars` list.
+async function saveSidecar(filename, type, text) {
+  const downloadId = await saveBlobToDownloads(`data:${type};charset=utf-8,${encodeURIComponent(text)}`, filename);
+  return { filename, downloadId, sizeBytes: new TextEncoder().encode(text).length };
+}
+
+async function addSidecars(id, sidecars) {
+  await withRecordings((recordings) =>
+    recordings.map((rec) => (rec.id === id ? { ...rec, sidecars: [...(rec.sidecars || []), ...sidecars] } : rec))
+  );
+}
+
+// Recordings arrive as object URLs owned by the offscreen document. The URL must
+// stay alive until Chrome has finished writing the file, then it is released.
+async function saveBlobUrlToDownloads(blobUrl, filename) {
+  if (!blobUrl) throw new Error("Recording data is missing.");
+  let id;
+  try {
+    id = await saveBlobToDownloads(blobUrl, filename);
+  } catch (error) {
+    chrome.runtime
+      .sendMessage({ target: "offscreen", type: "OFFSCREEN_RELEASE_URL", url: blobUrl })
+      .catch(() => {});
+    throw error;
+  }
+  // Persisted in session storage so a restarted worker can still release it.
+  const { pendingBlobUrls = {} } = await chrome.storage.session.get(["pendingBlobUrls"]);
+  pendingBlobUrls[id] = blobUrl;
+  await chrome.storage.session.set({ pendingBlobUrls });
+  const [item] = await chrome.downloads.search({ id });
+  if (item && item.state !== "in_progress") await releaseBlobUrl(id);
+  return id;
 }
 
-function applyFormatToFilename(filename, format) {
-  const ext = normalizeExtension(format);
-  if (!filename) return `TeamsRecordings/TeamsCall.${ext}`;
-  if (/\.[^.]+$/.test(filename)) return filename.replace(/\.[^.]+$/, `.${ext}`);
-  return `${filename}.${ext}`;
+async function releaseBlobUrl(downloadId) {
+  const { pendingBlobUrls = {} } = await chrome.storage.session.get(["pendingBlobUrls"]);
+  const url = pendingBlobUrls[downloadId];
+  if (!url) return;
+  delete pendingBlobUrls[downloadId];
+  await chrome.storage.session.set({ pendingBlobUrls });
+  try {
+    await chrome.runtime.sendMessage({ target: "offscreen", type: "OFFSCREEN_RELEASE_URL", url });
+  } catch {
+    // Offscreen document already gone; its object URLs went with it.
+  }
 }
 
-function sanitize(input) {
-  return String(input).replace(/[\\/:*?"<>|]/g, "_").replace(/\s+/g, "_").slice(0, 80);
+function makeFilename(template, folder, format, context) {
+  return `${renderFilename({ template, folder, context })}.${normalizeExtension(format)}`;
 }
 
 function normalizeExtension(format) {
   if (format === "wav") return "wav";
-  if (format === "mp3") return "webm";
+  if (format === "mp3") return "mp3";
   return "webm";
 }
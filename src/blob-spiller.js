@@ -0,0 +1,39 @@
+/**
+ * Collects encoded chunks into Blob parts of about `spillBytes` each. Chrome
+ * backs large Blobs with disk, so a long recording assembled this way only
+ * keeps the chunks since the last spill in memory.
+ */
+
+export function createBlobSpiller({ spillBytes = 1024 * 1024 } = {}) {
+  const parts = [];
+  let pending = [];
+  let pendingBytes = 0;
+  let size = 0;
+
+  function spill() {
+    if (!pending.length) return;
+    parts.push(new Blob(pending));
+    pending = [];
+    pendingBytes = 0;
+  }
+
+  return {
+    /** Bytes pushed so far. */
+    get size() {
+      return size;
+    },
+    /** Add one chunk (a typed array); empty ones are ignored. */
+    push(bytes) {
+      if (!bytes.byteLength) return;
+      pending.push(bytes);
+      pendingBytes += bytes.byteLength;
+      size += bytes.byteLength;
+      if (pendingBytes >= spillBytes) spill();
+    },
+    /** All parts, in order, with whatever was still pending spilled last. */
+    finish() {
+      spill();
+      return parts;
+    },
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Caption sidecar formatting for timestamped transcript segments.
+ *
+ * Segments are `{ start, end, text }` with offsets in milliseconds from the
+ * start of the audio file (paused time already excluded), plus an optional
+ * `speaker` from the participant timeline.
+ */
+
+/** Plain text; labeled segments become one "Name: ..." line per speaker turn. */
+export function transcriptText(segments) {
+  const parts = (segments || [])
+    .map((segment) => ({ speaker: segment.speaker || null, text: segment.text.trim() }))
+    .filter((part) => part.text);
+  if (!parts.some((part) => part.speaker)) return parts.map((part) => part.text).join(" ");
+
+  const turns = [];
+  for (const part of parts) {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === part.speaker) last.text += ` ${part.text}`;
+    else turns.push({ ...part });
+  }
+  return turns.map((turn) => (turn.speaker ? `${turn.speaker}: ${turn.text}` : turn.text)).join("\n");
+}
+
+export function formatSrt(segments) {
+  return cues(segments)
+    .map(
+      (cue, i) =>
+        `${i + 1}\n${formatTimestamp(cue.start, ",")} --> ${formatTimestamp(cue.end, ",")}\n${
+          cue.speaker ? `${cue.speaker}: ` : ""
+        }${cue.text}\n`
+    )
+    .join("\n");
+}
+
+export function formatVtt(segments) {
+  const body = cues(segments)
+    .map(
+      (cue) =>
+        `${formatTimestamp(cue.start, ".")} --> ${formatTimestamp(cue.end, ".")}\n${
+          cue.speaker ? `<v ${voiceName(cue.speaker)}>` : ""
+        }${cue.text}\n`
+    )
+    .join("\n");
+  return `WEBVTT\n\n${body}`;
+}
+
+export function formatTimestamp(ms, fractionSeparator) {
+  const total = Math.max(0, Math.round(ms));
+  const h = String(Math.floor(total / 3_600_000)).padStart(2, "0");
+  const m = String(Math.floor((total % 3_600_000) / 60_000)).padStart(2, "0");
+  const s = String(Math.floor((total % 60_000) / 1000)).padStart(2, "0");
+  const frac = String(total % 1000).padStart(3, "0");
+  return `${h}:${m}:${s}${fractionSeparator}${frac}`;
+}
+
+// Voice span annotations end at ">" and must not contain line breaks.
+function voiceName(name) {
+  return name.replace(/[<>&\n]/g, " ").trim();
+}
+
+// Players reject cues that end before they start or contain blank lines.
+function cues(segments) {
+  return (segments || [])
+    .map((segment) => ({
+      start: segment.start,
+      end: Math.max(segment.end, segment.start + 500),
+      text: segment.text.trim().replace(/\n\s*\n/g, "\n"),
+      speaker: segment.speaker || null,
+    }))
+    .filter((cue) => cue.text)
+    .sort((a, b) => a.start - b.start);
+}
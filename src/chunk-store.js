@@ -0,0 +1,138 @@
+/**
+ * Crash-safe chunk persistence backed by IndexedDB.
+ *
+ * The offscreen document writes every MediaRecorder chunk here as it arrives,
+ * so a recording survives the offscreen document or the service worker being
+ * torn down mid-call. Sessions that are still present after a restart are
+ * "orphaned" and can be assembled from their chunks and saved as partial
+ * recordings. Shared by offscreen.js (writer) and background.js (recovery).
+ */
+
+const DB_NAME = "teams-recorder";
+const DB_VERSION = 1;
+const SESSIONS = "sessions";
+const CHUNKS = "chunks";
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SESSIONS)) {
+        db.createObjectStore(SESSIONS, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(CHUNKS)) {
+        // Keyed by [sessionId, track, seq] so a key range returns chunks in order.
+        db.createObjectStore(CHUNKS, { keyPath: ["sessionId", "track", "seq"] });
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function completion(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted."));
+  });
+}
+
+function chunkRange(sessionId, track) {
+  if (track === undefined) {
+    return IDBKeyRange.bound([sessionId], [sessionId, []]);
+  }
+  return IDBKeyRange.bound([sessionId, track, 0], [sessionId, track, Infinity]);
+}
+
+export async function createSession(session) {
+  const db = await openDb();
+  const tx = db.transaction(SESSIONS, "readwrite");
+  tx.objectStore(SESSIONS).put({
+    status: "recording",
+    chunkCount: 0,
+    bytes: 0,
+    updatedAt: Date.now(),
+    ...session,
+  });
+  await completion(tx);
+}
+
+export async function getSession(id) {
+  const db = await openDb();
+  return promisify(db.transaction(SESSIONS).objectStore(SESSIONS).get(id));
+}
+
+export async function updateSession(id, patch) {
+  const db = await openDb();
+  const tx = db.transaction(SESSIONS, "readwrite");
+  const store = tx.objectStore(SESSIONS);
+  const current = await promisify(store.get(id));
+  if (current) store.put({ ...current, ...patch, updatedAt: Date.now() });
+  await completion(tx);
+}
+
+export async function listSessions() {
+  const db = await openDb();
+  const sessions = await promisify(db.transaction(SESSIONS).objectStore(SESSIONS).getAll());
+  return sessions.sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+}
+
+export async function appendChunk(sessionId, track, seq, blob) {
+  const db = await openDb();
+  const tx = db.transaction([CHUNKS, SESSIONS], "readwrite");
+  tx.objectStore(CHUNKS).put({ sessionId, track, seq, blob });
+  const sessions = tx.objectStore(SESSIONS);
+  const session = await promisify(sessions.get(sessionId));
+  if (session) {
+    sessions.put({
+      ...session,
+      chunkCount: (session.chunkCount || 0) + 1,
+      bytes: (session.bytes || 0) + blob.size,
+      updatedAt: Date.now(),
+    });
+  }
+  await completion(tx);
+}
+
+/** Assemble a track's chunks, in sequence order, into a single Blob. */
+export async function readTrackBlob(sessionId, track, type) {
+  const db = await openDb();
+  const chunks = await promisify(
+    db.transaction(CHUNKS).objectStore(CHUNKS).getAll(chunkRange(sessionId, track))
+  );
+  return new Blob(
+    chunks.map((chunk) => chunk.blob),
+    { type: type || chunks[0]?.blob.type || "audio/webm" }
+  );
+}
+
+export async function deleteSession(id) {
+  const db = await openDb();
+  const tx = db.transaction([CHUNKS, SESSIONS], "readwrite");
+  tx.objectStore(CHUNKS).delete(chunkRange(id));
+  tx.objectStore(SESSIONS).delete(id);
+  await completion(tx);
+}
@@ -2,12 +2,15 @@
  * Teams Call Recorder – content script
  *
  * Responsibilities:
- *  1. Detect call state and report it to the background service worker.
+ *  1. Watch the Teams DOM through the selector profiles in teams-detector.js
+ *     and report call state changes to the background service worker.
  *  2. Render an on-screen control panel using Shadow DOM so that Teams'
  *     global event listeners / stylesheets cannot interfere with the panel.
  *  3. Provide live transcription via the browser-native Web Speech API and
- *     persist the final transcript for the background worker to save alongside
- *     the audio recording.
+ *     persist timestamped transcript segments for the background worker to
+ *     save (with SRT/VTT captions) alongside the audio recording.
+ *  4. Track who joins, leaves and speaks while recording, from Teams' roster
+ *     and speaking indicators, as a participant timeline for the recording.
  */
 
 // ─── Shared state ─────────────────────────────────────────────────────────────
@@ -18,9 +21,34 @@ const state = {
   participantCount: null,
   recordingState: "idle",
   panelEnabled: true,
+  /** Epoch ms at which an auto-start countdown fires, or null. */
+  autoStartAt: null,
+  // Mirrors of the background's timing fields, see recordedOffsetMs().
+  sessionId: null,
+  recordingStartedAt: null,
+  pausedMs: 0,
+  pausedAt: null,
+  /** Markers added to the current recording so far. */
+  markerCount: 0,
+  /** Latest mic/system meter readings relayed from the recorder, or null. */
+  levels: null,
+  /** Paused by silence detection rather than by the user. */
+  autoPaused: false,
+  /** Chrome refused to capture this tab until the toolbar icon is clicked. */
+  captureBlocked: false,
 };
 
-const POLL_MS = 1500;
+/** Timeline sampling interval; speaking indicators flicker per word. */
+const SPEAKER_POLL_MS = 500;
+/** Minimum gap between timeline writes to storage while recording. */
+const TIMELINE_PERSIST_MS = 3000;
+
+/** DOM detector from src/teams-detector.js, created once the module loads. */
+let detector = null;
+/** src/recording-time.js, loaded before the panel first renders. */
+let recordingTime = null;
+/** src/text-format.js, loaded with recording-time.js. */
+let textFormat = null;
 
 // ─── Panel (Shadow DOM) refs ──────────────────────────────────────────────────
 
@@ -28,12 +56,36 @@ const POLL_MS = 1500;
 let panelRoot = null;
 /** Shadow root attached to panelRoot for style/event isolation. */
 let shadowRoot = null;
+/** Interval ticking the auto-start countdown text while one is pending. */
+let countdownTimer = null;
+/** Interval ticking the elapsed recording time while recording or paused. */
+let elapsedTimer = null;
 
 // ─── Transcription state ──────────────────────────────────────────────────────
 
 let recognition = null;
 let finalTranscript = "";
 let interimText = "";
+/** Final results as `{ start, end, text }`, offsets in ms into the audio file. */
+let segments = [];
+/** Offset at which each in-progress result was first heard, by result index. */
+let resultStarts = [];
+
+// ─── Participant timeline state ───────────────────────────────────────────────
+
+/**
+ * Timeline of the current recording, offsets in ms into the audio file:
+ * `events` are `{ type: "join"|"leave", name, at }`, `speaking` closed
+ * `{ name, start, end }` intervals.
+ */
+let timeline = { events: [], speaking: [] };
+/** Names present at the last sample. */
+let presentNames = new Set();
+/** Speakers currently talking, by name, with the offset they started at. */
+let openSpeaking = new Map();
+let speakerTimer = null;
+let timelineDirty = false;
+let timelinePersistedAt = 0;
 
 // ─── Shadow DOM inner styles ──────────────────────────────────────────────────
 
@@ -114,6 +166,53 @@ const SHADOW_STYLES = `
   button:active:not([disabled]) { background: #334155; }
   button[disabled] { cursor: not-allowed; opacity: 0.42; }
 
+  /* ── Timer and level meters ── */
+  .tr-levels {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin: 6px 0 4px;
+    font-size: 11px;
+    color: #475569;
+  }
+  .tr-elapsed {
+    font-size: 13px;
+    font-weight: 600;
+    color: #0f172a;
+    font-variant-numeric: tabular-nums;
+  }
+  .tr-meter {
+    flex: 1;
+    display: flex;
+    align-items: center;
+    gap: 4px;
+  }
+  .tr-bar {
+    flex: 1;
+    height: 5px;
+    border-radius: 3px;
+    background: #cbd5e1;
+    overflow: hidden;
+  }
+  .tr-fill {
+    display: block;
+    width: 0;
+    height: 100%;
+    background: #16a34a;
+    transition: width 0.2s linear;
+  }
+  .tr-fill.silent { background: #d97706; }
+  .tr-silence {
+    display: none;
+    margin-top: 4px;
+    padding: 4px 8px;
+    background: #fef3c7;
+    border-radius: 6px;
+    font-size: 11px;
+    color: #92400e;
+    line-height: 1.4;
+  }
+
   .tr-error {
     display: none;
     margin-top: 5px;
@@ -174,6 +273,58 @@ const SHADOW_STYLES = `
     font-style: italic;
   }
 
+  /* ── Markers ── */
+  .tr-mark {
+    display: flex;
+    gap: 6px;
+    margin-top: 6px;
+  }
+  .tr-mark input {
+    flex: 1;
+    min-width: 0;
+    border: 1px solid #cbd5e1;
+    border-radius: 8px;
+    padding: 5px 7px;
+    font-size: 12px;
+    font-family: "Segoe UI", Tahoma, sans-serif;
+  }
+  .tr-mark button { padding: 5px 10px; }
+  .tr-mark-count {
+    align-self: center;
+    font-size: 11px;
+    color: #475569;
+    white-space: nowrap;
+  }
+
+  /* ── Auto-start countdown ── */
+  .tr-countdown {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 8px;
+    padding: 6px 8px;
+    background: #fef3c7;
+    border-radius: 8px;
+    font-size: 12px;
+    color: #92400e;
+  }
+  .tr-countdown-text { flex: 1; }
+  .tr-countdown button {
+    padding: 4px 10px;
+    background: #92400e;
+  }
+  .tr-countdown button:hover:not([disabled]) { background: #78350f; }
+
+  .tr-arm {
+    margin-bottom: 8px;
+    padding: 6px 8px;
+    background: #fef3c7;
+    border-radius: 8px;
+    font-size: 12px;
+    color: #92400e;
+    line-height: 1.4;
+  }
+
   .tr-badge {
     margin-top: 8px;
     font-size: 10px;
@@ -186,18 +337,45 @@ const SHADOW_STYLES = `
 
 init();
 
-function init() {
+async function init() {
+  // Content scripts cannot be modules; shared code is loaded as modules on demand.
+  [recordingTime, textFormat] = await Promise.all([
+    import(chrome.runtime.getURL("src/recording-time.js")),
+    import(chrome.runtime.getURL("src/text-format.js")),
+  ]);
+
   // Listen for recording state changes pushed from background.js
-  chrome.runtime.onMessage.addListener((message) => {
+  chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+    if (message?.type === "GET_DETECTION") {
+      sendResponse(detector ? describeDetection(detector.snapshot(true)) : null);
+      return;
+    }
+    if (message?.type === "LEVELS_CHANGED") {
+      state.levels = message.levels;
+      updateLevelsDisplay();
+      return;
+    }
     if (message?.type !== "STATE_CHANGED") return;
     const prev = state.recordingState;
     state.recordingState = message.state.recordingState;
     state.callActive = message.state.callActive;
-
-    if (state.recordingState === "recording" && prev !== "recording") {
+    state.autoStartAt = message.state.autoStartAt ?? null;
+    state.sessionId = message.state.sessionId ?? null;
+    state.recordingStartedAt = message.state.recordingStartedAt ?? null;
+    state.pausedMs = message.state.pausedMs || 0;
+    state.pausedAt = message.state.pausedAt ?? null;
+    state.markerCount = message.state.markerCount || 0;
+    state.levels = message.state.levels ?? null;
+    state.autoPaused = Boolean(message.state.pauseLog?.[message.state.pauseLog.length - 1]?.auto);
+    state.captureBlocked = Boolean(message.state.captureBlocked);
+
+    // Recognition keeps running through pauses, so only a new recording restarts it.
+    if (state.recordingState !== "idle" && prev === "idle") {
       startTranscription();
+      startTimeline();
     } else if (state.recordingState === "idle" && prev !== "idle") {
       stopTranscription();
+      stopTimeline();
     }
     renderPanel();
   });
@@ -220,25 +398,15 @@ function init() {
   link.href = chrome.runtime.getURL("src/content.css");
   document.documentElement.appendChild(link);
 
-  setInterval(pollCallState, POLL_MS);
-  pollCallState();
+  const { createDetector } = await import(chrome.runtime.getURL("src/teams-detector.js"));
+  detector = createDetector({ onChange: handleDetection });
+  detector.start();
 }
 
 // ─── Call detection ───────────────────────────────────────────────────────────
 
-function pollCallState() {
-  const titleEl =
-    document.querySelector("[data-tid='meeting-title']") ||
-    document.querySelector("h1") ||
-    document.querySelector("title");
-  const meetingTitle = (titleEl?.textContent || document.title || "TeamsCall").trim();
-
-  const partEl =
-    document.querySelector("[data-tid='call-participants-count']") ||
-    document.querySelector("[aria-label*='participants']");
-  const participantCount = parseParticipantCount(partEl?.textContent || "");
-
-  const callActive = detectCallActive();
+/** Report call state changes seen by the detector to the background worker. */
+function handleDetection({ callActive, meetingTitle, participantCount }) {
   const changed =
     callActive !== state.callActive ||
     meetingTitle !== state.meetingTitle ||
@@ -252,20 +420,98 @@ function pollCallState() {
   chrome.runtime.sendMessage({ type: "CALL_STATUS_UPDATE", callActive, meetingTitle, participantCount });
 }
 
-function detectCallActive() {
-  const url = location.href.toLowerCase();
-  if (url.includes("/meetup-join/") || url.includes("/meeting/")) return true;
-  return [
-    "[data-tid='call-end']",
-    "[aria-label*='Leave']",
-    "[aria-label*='Hang up']",
-    "[data-tid='toggle-video']",
-  ].some((sel) => document.querySelector(sel));
+/** Detection result for the popup's diagnostics view. */
+function describeDetection(result) {
+  return {
+    url: location.href,
+    at: Date.now(),
+    callActive: result.callActive,
+    meetingTitle: result.meetingTitle,
+    participantCount: result.participantCount,
+    participantNames: result.participantNames,
+    speakers: result.speakers,
+    profile: result.profile,
+    signals: result.signals,
+  };
+}
+
+// ─── Participant timeline ─────────────────────────────────────────────────────
+
+/**
+ * Begin sampling the roster and speaking indicators for a new recording.
+ * Everyone already in the call counts as joining at offset 0.
+ */
+function startTimeline() {
+  stopTimeline();
+  timeline = { events: [], speaking: [] };
+  presentNames = new Set();
+  openSpeaking = new Map();
+  timelinePersistedAt = 0;
+  sampleTimeline();
+  speakerTimer = setInterval(sampleTimeline, SPEAKER_POLL_MS);
+}
+
+/**
+ * Stop sampling. Like the transcript, the timeline is persisted as it grows,
+ * so nothing is written here.
+ */
+function stopTimeline() {
+  clearInterval(speakerTimer);
+  speakerTimer = null;
+}
+
+function sampleTimeline() {
+  const now = recordingTime.recordedOffsetMs(state);
+
+  const detected = detector?.snapshot() || { participantNames: [], speakers: [] };
+  const names = new Set(detected.participantNames);
+  // An empty read usually means the roster and tiles are hidden, not that
+  // everyone left, so keep the last known list.
+  if (names.size) {
+    for (const name of names) {
+      if (!presentNames.has(name)) timeline.events.push({ type: "join", name, at: now });
+    }
+    for (const name of presentNames) {
+      if (!names.has(name)) timeline.events.push({ type: "leave", name, at: now });
+    }
+    if (names.size !== presentNames.size || [...names].some((name) => !presentNames.has(name))) {
+      timelineDirty = true;
+    }
+    presentNames = names;
+  }
+
+  // Speech while paused is not in the audio file, so intervals close on pause.
+  const speakers = new Set(state.recordingState === "recording" ? detected.speakers : []);
+  for (const name of speakers) {
+    if (!openSpeaking.has(name)) openSpeaking.set(name, now);
+  }
+  for (const [name, start] of openSpeaking) {
+    if (speakers.has(name)) continue;
+    openSpeaking.delete(name);
+    if (now > start) timeline.speaking.push({ name, start, end: now });
+    timelineDirty = true;
+  }
+
+  if (openSpeaking.size) timelineDirty = true;
+  if (timelineDirty && Date.now() - timelinePersistedAt >= TIMELINE_PERSIST_MS) persistTimeline(now);
 }
 
-function parseParticipantCount(text) {
-  const m = text.match(/(\d+)/);
-  return m ? Number(m[1]) : null;
+/**
+ * Persist the timeline so far, keyed by session like the transcript. Speakers
+ * still talking are written as ending now, so a recording that stops between
+ * samples loses at most one persist interval.
+ */
+function persistTimeline(now) {
+  if (!state.sessionId) return;
+  const speaking = [...timeline.speaking];
+  for (const [name, start] of openSpeaking) {
+    if (now > start) speaking.push({ name, start, end: now });
+  }
+  timelineDirty = false;
+  timelinePersistedAt = Date.now();
+  chrome.storage.local
+    .set({ pendingTimeline: { sessionId: state.sessionId, events: timeline.events, speaking } })
+    .catch(() => {});
 }
 
 // ─── Transcription ────────────────────────────────────────────────────────────
@@ -282,6 +528,8 @@ function startTranscription() {
   stopTranscription(); // clean up any stale instance
   finalTranscript = "";
   interimText = "";
+  segments = [];
+  resultStarts = [];
 
   try {
     recognition = new SR();
@@ -295,20 +543,32 @@ function startTranscription() {
   recognition.maxAlternatives = 1;
 
   recognition.onresult = (event) => {
+    // Speech while paused is not in the audio file, so it has no place to go.
+    if (state.recordingState !== "recording") return;
+    const now = recordingTime.recordedOffsetMs(state);
     let interim = "";
+    let added = false;
     for (let i = event.resultIndex; i < event.results.length; i++) {
+      resultStarts[i] ??= now;
+      const text = event.results[i][0].transcript;
       if (event.results[i].isFinal) {
-        finalTranscript += event.results[i][0].transcript + " ";
+        finalTranscript += text + " ";
+        if (text.trim()) {
+          segments.push({ start: resultStarts[i], end: now, text: text.trim() });
+          added = true;
+        }
       } else {
-        interim += event.results[i][0].transcript;
+        interim += text;
       }
     }
     interimText = interim;
     updateTranscriptDisplay();
+    if (added) persistTranscript();
   };
 
   // Auto-restart on natural end-of-session while recording
   recognition.onend = () => {
+    resultStarts = []; // result indices restart with the next session
     if (state.recordingState === "recording" || state.recordingState === "paused") {
       try { recognition.start(); } catch { /* already running */ }
     }
@@ -332,19 +592,28 @@ function startTranscription() {
 }
 
 /**
- * Stop recognition and persist the accumulated transcript in local storage so
- * background.js can attach it to the finalized recording.
+ * Stop recognition. The transcript is already persisted segment by segment, so
+ * nothing is written here: by the time the idle state arrives, background.js
+ * has finalized the recording.
  */
 function stopTranscription() {
   if (recognition) {
     try { recognition.abort(); } catch {}
     recognition = null;
   }
-  const text = finalTranscript.trim();
-  if (text) {
-    chrome.storage.local.set({ pendingTranscript: text }).catch(() => {});
-  }
   interimText = "";
+  resultStarts = [];
+}
+
+/**
+ * Persist the segments so far, keyed by session, for background.js to attach
+ * to the finalized recording (and to a recovered one after a crash).
+ */
+function persistTranscript() {
+  if (!state.sessionId) return;
+  chrome.storage.local
+    .set({ pendingTranscript: { sessionId: state.sessionId, segments } })
+    .catch(() => {});
 }
 
 /** Live-update only the transcript text node without a full panel re-render. */
@@ -353,14 +622,16 @@ function updateTranscriptDisplay() {
   const textEl = shadowRoot.querySelector(".tr-transcript-text");
   if (!textEl) return;
   textEl.innerHTML =
-    escapeHtml(finalTranscript) +
-    (interimText ? `<span class="interim">${escapeHtml(interimText)}</span>` : "");
+    textFormat.escapeHtml(finalTranscript) +
+    (interimText ? `<span class="interim">${textFormat.escapeHtml(interimText)}</span>` : "");
   textEl.scrollTop = textEl.scrollHeight;
 }
 
 // ─── Panel rendering ──────────────────────────────────────────────────────────
 
 function renderPanel() {
+  syncCountdownTimer();
+  syncElapsedTimer();
   if (!state.panelEnabled) {
     removePanel();
     return;
@@ -386,8 +657,12 @@ function renderPanel() {
   const isPaused    = state.recordingState === "paused";
   const showTranscript = isRecording || isPaused;
 
-  // Replace content container on every render (style element is preserved)
+  // Replace content container on every render (style element is preserved),
+  // keeping a half-typed marker label and its focus across the re-render.
   const old = shadowRoot.querySelector(".tr-container");
+  const oldLabel = old?.querySelector(".tr-mark input");
+  const labelDraft = oldLabel?.value || "";
+  const labelFocused = Boolean(oldLabel) && shadowRoot.activeElement === oldLabel;
   if (old) old.remove();
 
   const container = document.createElement("div");
@@ -395,8 +670,8 @@ function renderPanel() {
   container.innerHTML = `
     <div class="tr-head">
       <span class="tr-dot ${isRecording ? "rec" : state.callActive ? "call" : "idle"}"></span>
-      <span class="tr-status">${isRecording ? "Recording" : isPaused ? "Paused" : state.callActive ? "Call active" : "Idle"}</span>
-      <span class="tr-title">${escapeHtml(state.meetingTitle || "Teams call")}</span>
+      <span class="tr-status">${isRecording ? "Recording" : isPaused ? (state.autoPaused ? "Paused (silence)" : "Paused") : state.callActive ? "Call active" : "Idle"}</span>
+      <span class="tr-title">${textFormat.escapeHtml(state.meetingTitle || "Teams call")}</span>
     </div>
     <div class="tr-actions">
       <button data-act="start"  ${state.recordingState !== "idle" ? "disabled" : ""}>Start</button>
@@ -404,6 +679,28 @@ function renderPanel() {
       <button data-act="resume" ${!isPaused    ? "disabled" : ""}>Resume</button>
       <button data-act="stop"   ${state.recordingState === "idle" ? "disabled" : ""}>Stop</button>
     </div>
+    ${showTranscript ? `
+    <div class="tr-levels">
+      <span class="tr-elapsed">${recordingTime.formatClock(recordingTime.recordedOffsetMs(state))}</span>
+      <span class="tr-meter" data-source="mic">Mic <span class="tr-bar"><span class="tr-fill"></span></span></span>
+      <span class="tr-meter" data-source="system">Call <span class="tr-bar"><span class="tr-fill"></span></span></span>
+    </div>
+    <div class="tr-silence"></div>` : ""}
+    ${state.autoStartAt ? `
+    <div class="tr-countdown">
+      <span class="tr-countdown-text">${countdownLabel()}</span>
+      <button data-act="cancel-auto">Cancel</button>
+    </div>` : ""}
+    ${state.captureBlocked && state.recordingState === "idle" ? `
+    <div class="tr-arm">
+      Chrome needs one click before this tab can be recorded: click the Teams Call Recorder icon in the toolbar.
+    </div>` : ""}
+    ${showTranscript ? `
+    <div class="tr-mark">
+      <input type="text" maxlength="120" placeholder="Marker label (optional)" value="${textFormat.escapeHtml(labelDraft)}" />
+      <button data-act="mark">Mark</button>
+      ${state.markerCount ? `<span class="tr-mark-count">${state.markerCount}</span>` : ""}
+    </div>` : ""}
     <div class="tr-error"></div>
     ${showTranscript ? `
     <div class="tr-transcript">
@@ -411,11 +708,22 @@ function renderPanel() {
         ${isRecording ? '<span class="tr-live-dot"></span>' : ""}
         Transcript
       </div>
-      <div class="tr-transcript-text">${escapeHtml(finalTranscript)}${interimText ? `<span class="interim">${escapeHtml(interimText)}</span>` : ""}</div>
+      <div class="tr-transcript-text">${textFormat.escapeHtml(finalTranscript)}${interimText ? `<span class="interim">${textFormat.escapeHtml(interimText)}</span>` : ""}</div>
     </div>` : ""}
     <div class="tr-badge">Recording indicator always visible</div>
   `;
   shadowRoot.appendChild(container);
+  updateLevelsDisplay();
+
+  const labelInput = container.querySelector(".tr-mark input");
+  if (labelInput) {
+    if (labelFocused) labelInput.focus();
+    // Teams binds global shortcuts; keep typing inside the label field.
+    labelInput.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      if (e.key === "Enter") container.querySelector("button[data-act='mark']")?.click();
+    });
+  }
 
   // Wire button actions — stopPropagation keeps Teams' capture listeners away
   container.querySelectorAll("button[data-act]").forEach((btn) => {
@@ -430,9 +738,13 @@ function renderPanel() {
         pause:  { type: "PAUSE_RECORDING" },
         resume: { type: "RESUME_RECORDING" },
         stop:   { type: "STOP_RECORDING" },
+        "cancel-auto": { type: "CANCEL_AUTO_START" },
+        mark:   { type: "ADD_MARKER", label: labelInput?.value || "" },
       };
       const msg = msgMap[act];
       if (!msg) return;
+      // Cleared up front: the state push for the new marker re-renders the panel.
+      if (act === "mark") labelInput.value = "";
 
       try {
         const res = await chrome.runtime.sendMessage(msg);
@@ -448,6 +760,64 @@ function renderPanel() {
   });
 }
 
+/** Seconds left on the auto-start countdown, as shown in the panel. */
+function countdownLabel() {
+  const seconds = Math.max(0, Math.ceil((state.autoStartAt - Date.now()) / 1000));
+  return `Auto-recording starts in ${seconds}s`;
+}
+
+/** Tick the countdown text without re-rendering (and re-wiring) the panel. */
+function syncCountdownTimer() {
+  if (!state.autoStartAt) {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+    return;
+  }
+  if (countdownTimer) return;
+  countdownTimer = setInterval(() => {
+    const textEl = shadowRoot?.querySelector(".tr-countdown-text");
+    if (!state.autoStartAt || !textEl) return;
+    textEl.textContent = countdownLabel();
+  }, 250);
+}
+
+/** Tick the elapsed time (recorded time, pauses excluded) without re-rendering. */
+function syncElapsedTimer() {
+  if (state.recordingState === "idle") {
+    clearInterval(elapsedTimer);
+    elapsedTimer = null;
+    return;
+  }
+  if (elapsedTimer) return;
+  elapsedTimer = setInterval(() => {
+    const textEl = shadowRoot?.querySelector(".tr-elapsed");
+    if (textEl) textEl.textContent = recordingTime.formatClock(recordingTime.recordedOffsetMs(state));
+  }, 500);
+}
+
+/** Live-update the meters and the silence warning from `state.levels`. */
+function updateLevelsDisplay() {
+  if (!shadowRoot) return;
+  const warnings = [];
+  for (const meterEl of shadowRoot.querySelectorAll(".tr-meter")) {
+    const source = meterEl.getAttribute("data-source");
+    const level = state.levels?.[source];
+    const fill = meterEl.querySelector(".tr-fill");
+    meterEl.style.display = level ? "" : "none";
+    fill.style.width = `${Math.round((level?.level || 0) * 100)}%`;
+    fill.classList.toggle("silent", Boolean(level?.silent));
+    if (level?.silent) {
+      const what = source === "mic" ? "No sound from your microphone" : "No call audio";
+      warnings.push(`${what} for ${recordingTime.formatClock(level.silentMs)}.`);
+    }
+  }
+  const warningEl = shadowRoot.querySelector(".tr-silence");
+  if (!warningEl) return;
+  const show = warnings.length > 0 && state.recordingState === "recording";
+  warningEl.textContent = show ? `${warnings.join(" ")} Check that it is not muted.` : "";
+  warningEl.style.display = show ? "block" : "none";
+}
+
 function showError(el, text) {
   if (!el) return;
   el.textContent = text;
@@ -462,13 +832,3 @@ function removePanel() {
     shadowRoot = null;
   }
 }
-
-// ─── Helpers ──────────────────────────────────────────────────────────────────
-
-function escapeHtml(input) {
-  return String(input || "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;");
-}
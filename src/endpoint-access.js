@@ -0,0 +1,26 @@
+/**
+ * Host access for the endpoints the user configures: the meeting minutes
+ * server and webhook receivers. These match optional_host_permissions in the
+ * manifest, and the popup asks for the one origin the user entered, never
+ * more.
+ *
+ * Any https:// host is allowed there, because a hosted model or receiver can
+ * live anywhere and the user types its URL. Plain http:// is only allowed on
+ * this machine, where a local llama.cpp, Ollama or webhook receiver usually
+ * listens without TLS. Transcripts are not sent to other hosts unencrypted.
+ */
+
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1"];
+
+/** Permission pattern for `url`, or null when it is not a URL the extension may be granted. */
+export function endpointPermission(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const allowed =
+    parsed.protocol === "https:" || (parsed.protocol === "http:" && LOOPBACK_HOSTS.includes(parsed.hostname));
+  return allowed ? `${parsed.protocol}//${parsed.hostname}/*` : null;
+}
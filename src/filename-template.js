@@ -0,0 +1,100 @@
+/**
+ * Filename templates for saved recordings, shared by background.js (which
+ * names the files) and the popup (which previews the setting).
+ *
+ * A template is a path under the Downloads folder made of literal text and
+ * `{token}`s; `/` starts a subfolder. Every path segment is sanitized on its
+ * own, after the tokens are filled in, so a meeting title can never add a
+ * folder level or escape the recordings folder. Sidecars (.json, .txt, .srt,
+ * ...) share the recording's name with another extension.
+ */
+
+import { formatMinutes } from "./recording-time.js";
+
+export const DEFAULT_FILENAME_TEMPLATE = "Teams_{date}_{time}_{title}";
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const MAX_SEGMENT = 120;
+const MAX_DEPTH = 5;
+// Names Windows refuses for files and folders, with or without an extension.
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/** Tokens and what they expand to, in the order the popup lists them. */
+export const FILENAME_TOKENS = {
+  date: {
+    help: "2024-05-31",
+    value: ({ date }) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+  },
+  time: { help: "14-05", value: ({ date }) => `${pad(date.getHours())}-${pad(date.getMinutes())}` },
+  title: { help: "meeting title", value: ({ title }) => sanitize(title || "TeamsCall").slice(0, 80) },
+  participants: {
+    help: "number of people",
+    value: ({ participantCount }) => (Number.isFinite(participantCount) ? String(participantCount) : "unknown"),
+  },
+  duration: { help: "1h05m", value: ({ durationSec }) => formatMinutes(durationSec) },
+  weekday: { help: "Friday", value: ({ date }) => WEEKDAYS[date.getDay()] },
+  year: { help: "2024", value: ({ date }) => String(date.getFullYear()) },
+  month: { help: "05", value: ({ date }) => pad(date.getMonth() + 1) },
+  day: { help: "31", value: ({ date }) => pad(date.getDate()) },
+};
+
+/**
+ * Make `input` safe as one file or folder name on every OS: no path
+ * separators, reserved characters, control characters, leading dots or
+ * trailing dots/spaces, and no names Windows reserves.
+ */
+export function sanitize(input) {
+  const cleaned = String(input)
+    .replace(/[\u0000-\u001f\u007f]/g, "")
+    .replace(/[\\/:*?"<>|]/g, "_")
+    .replace(/\s+/g, "_")
+    .replace(/_{2,}/g, "_")
+    .replace(/^[.\s]+/, "")
+    .slice(0, MAX_SEGMENT)
+    .replace(/[.\s]+$/, "");
+  return RESERVED_NAMES.test(cleaned) ? `_${cleaned}` : cleaned;
+}
+
+/** Problems with `template` as user-facing messages; empty when it is usable. */
+export function validateTemplate(template) {
+  const errors = [];
+  const text = String(template || "").trim();
+  if (!text) return ["The template is empty."];
+  const unknown = [...text.matchAll(/\{([^{}]*)\}/g)]
+    .map((match) => match[1])
+    .filter((token) => !Object.hasOwn(FILENAME_TOKENS, token));
+  if (unknown.length) {
+    errors.push(`Unknown token${unknown.length === 1 ? "" : "s"}: ${unknown.map((t) => `{${t}}`).join(", ")}`);
+  }
+  if (/[{}]/.test(text.replace(/\{[^{}]*\}/g, ""))) errors.push("Unmatched { or }.");
+  if (/^[\\/]/.test(text) || /(^|[\\/])\.\.([\\/]|$)/.test(text)) {
+    errors.push("The template must stay inside the recordings folder.");
+  }
+  const segments = text.split("/");
+  if (segments.length > MAX_DEPTH) errors.push(`At most ${MAX_DEPTH - 1} subfolders.`);
+  if (segments.some((segment) => !segment.trim())) errors.push("Empty folder name (doubled or trailing /).");
+  return errors;
+}
+
+/**
+ * Downloads-relative path for a recording, without the extension. An invalid
+ * template falls back to the default rather than failing the save.
+ *
+ * @param {object} options
+ * @param {string} options.template
+ * @param {string} options.folder recordings folder under Downloads
+ * @param {object} [options.context] `startedAt` (epoch ms), `title`, `participantCount`, `durationSec`
+ */
+export function renderFilename({ template, folder, context = {} }) {
+  const source = validateTemplate(template).length ? DEFAULT_FILENAME_TEMPLATE : template.trim();
+  const values = { ...context, date: new Date(context.startedAt || Date.now()) };
+  const segments = source
+    .split("/")
+    .map((segment) => sanitize(segment.replace(/\{(\w+)\}/g, (_, token) => FILENAME_TOKENS[token].value(values))))
+    .filter(Boolean);
+  if (!segments.length) segments.push("TeamsCall");
+  return [sanitize(folder || "TeamsRecordings") || "TeamsRecordings", ...segments].join("/");
+}
+
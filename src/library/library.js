@@ -0,0 +1,517 @@
+import { getModelInfo, removeModel, saveModel } from "../model-store.js";
+import { formatClock } from "../recording-time.js";
+import { escapeHtml, formatBytes } from "../text-format.js";
+
+// Files larger than this are played without a waveform; decoding them in full
+// would use several times their size in memory.
+const MAX_WAVEFORM_BYTES = 150 * 1024 * 1024;
+
+const refs = {
+  summary: document.getElementById("summary"),
+  query: document.getElementById("query"),
+  from: document.getElementById("from"),
+  to: document.getElementById("to"),
+  minDuration: document.getElementById("minDuration"),
+  maxDuration: document.getElementById("maxDuration"),
+  format: document.getElementById("format"),
+  resetBtn: document.getElementById("resetBtn"),
+  player: document.getElementById("player"),
+  playerTitle: document.getElementById("playerTitle"),
+  closePlayerBtn: document.getElementById("closePlayerBtn"),
+  waveform: document.getElementById("waveform"),
+  audio: document.getElementById("audio"),
+  playerNote: document.getElementById("playerNote"),
+  pickFile: document.getElementById("pickFile"),
+  fileInput: document.getElementById("fileInput"),
+  list: document.getElementById("list"),
+  modelStatus: document.getElementById("modelStatus"),
+  modelInput: document.getElementById("modelInput"),
+  removeModelBtn: document.getElementById("removeModelBtn"),
+  exportBtn: document.getElementById("exportBtn"),
+  backupStatus: document.getElementById("backupStatus"),
+  archiveInput: document.getElementById("archiveInput"),
+  importSettings: document.getElementById("importSettings"),
+  folderInput: document.getElementById("folderInput"),
+};
+
+const player = {
+  recordingId: null,
+  objectUrl: null,
+  peaks: null,
+};
+
+let searchTimer = null;
+
+init();
+
+async function init() {
+  wireEvents();
+  await refreshList();
+  await refreshModel();
+  await playFromHash();
+}
+
+function wireEvents() {
+  refs.query.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(refreshList, 200);
+  });
+  [refs.from, refs.to, refs.minDuration, refs.maxDuration, refs.format].forEach((el) =>
+    el.addEventListener("change", refreshList)
+  );
+  refs.resetBtn.addEventListener("click", async () => {
+    [refs.query, refs.from, refs.to, refs.minDuration, refs.maxDuration, refs.format].forEach((el) => {
+      el.value = "";
+    });
+    await refreshList();
+  });
+
+  refs.closePlayerBtn.addEventListener("click", closePlayer);
+  refs.fileInput.addEventListener("change", async () => {
+    const file = refs.fileInput.files?.[0];
+    if (!file) return;
+    releaseObjectUrl();
+    player.objectUrl = URL.createObjectURL(file);
+    refs.audio.src = player.objectUrl;
+    refs.pickFile.hidden = true;
+    showNote("");
+    await loadWaveform(() => file.arrayBuffer(), file.size);
+  });
+
+  refs.modelInput.addEventListener("change", async () => {
+    const file = refs.modelInput.files?.[0];
+    if (!file) return;
+    refs.modelStatus.textContent = `Importing ${file.name}...`;
+    try {
+      await saveModel(file);
+    } catch (error) {
+      refs.modelStatus.textContent = `Import failed: ${error.message}`;
+      return;
+    } finally {
+      refs.modelInput.value = "";
+    }
+    await refreshModel();
+  });
+  refs.removeModelBtn.addEventListener("click", async () => {
+    await removeModel();
+    await refreshModel();
+  });
+
+  refs.exportBtn.addEventListener("click", exportArchive);
+  refs.archiveInput.addEventListener("change", async () => {
+    const file = refs.archiveInput.files?.[0];
+    refs.archiveInput.value = "";
+    if (file) await importArchive(file);
+  });
+  refs.folderInput.addEventListener("change", async () => {
+    const files = [...(refs.folderInput.files || [])];
+    refs.folderInput.value = "";
+    if (files.length) await rebuildFromFolder(files);
+  });
+
+  refs.audio.addEventListener("timeupdate", drawWaveform);
+  refs.audio.addEventListener("seeked", drawWaveform);
+  // A file: URL the page may not load (moved, or blocked by the browser) falls back to picking the file.
+  refs.audio.addEventListener("error", () => {
+    if (!refs.audio.src.startsWith("file:")) return;
+    showNote("The recording could not be loaded from disk. Pick the file to play it.");
+    refs.pickFile.hidden = false;
+  });
+  refs.waveform.addEventListener("click", (event) => {
+    if (!Number.isFinite(refs.audio.duration)) return;
+    const rect = refs.waveform.getBoundingClientRect();
+    refs.audio.currentTime = ((event.clientX - rect.left) / rect.width) * refs.audio.duration;
+  });
+  window.addEventListener("resize", drawWaveform);
+
+  // Pick up recordings saved (or deleted elsewhere) while the page is open.
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.recordings) refreshList();
+  });
+}
+
+function currentFilter() {
+  return {
+    query: refs.query.value.trim(),
+    from: refs.from.value ? new Date(`${refs.from.value}T00:00:00`).getTime() : null,
+    to: refs.to.value ? new Date(`${refs.to.value}T23:59:59.999`).getTime() : null,
+    minDurationSec: refs.minDuration.value ? Number(refs.minDuration.value) * 60 : null,
+    maxDurationSec: refs.maxDuration.value ? Number(refs.maxDuration.value) * 60 : null,
+    format: refs.format.value,
+  };
+}
+
+async function refreshList() {
+  const [filtered, all] = await Promise.all([
+    chrome.runtime.sendMessage({ type: "LIST_RECORDINGS", filter: currentFilter() }),
+    chrome.runtime.sendMessage({ type: "LIST_RECORDINGS", filter: { limit: 1 } }),
+  ]);
+  const items = filtered?.result?.items || [];
+  const total = all?.result?.total || 0;
+  refs.summary.textContent =
+    items.length === total ? `${total} recordings` : `${items.length} of ${total} recordings`;
+
+  refs.list.innerHTML = "";
+  if (!items.length) {
+    refs.list.innerHTML = `<p class="empty">${total ? "No recordings match these filters." : "No recordings yet."}</p>`;
+    return;
+  }
+  const terms = currentFilter().query.toLowerCase().split(/\s+/).filter(Boolean);
+  items.forEach((rec) => refs.list.appendChild(renderRecord(rec, terms)));
+}
+
+function renderRecord(rec, terms) {
+  const el = document.createElement("article");
+  el.className = `record${rec.id === player.recordingId ? " playing" : ""}`;
+  el.dataset.id = rec.id;
+  const date = new Date(rec.startedAt || rec.createdAt).toLocaleString();
+  const size = rec.sizeBytes ? ` | ${formatBytes(rec.sizeBytes)}` : "";
+  const pauseCount = rec.pauseLog?.length || 0;
+  const pauses = pauseCount
+    ? ` | ${pauseCount} pause${pauseCount === 1 ? "" : "s"}, ${formatClock(rec.wallDurationSec * 1000)} overall`
+    : "";
+  const trimmedMs = (rec.trimmedRanges || []).reduce((sum, range) => sum + range.end - range.start, 0);
+  const trimmed = trimmedMs ? ` | ${formatClock(trimmedMs)} of silence trimmed` : "";
+  const fallback = rec.formatFallback ? ` (${escapeHtml(rec.formatFallback)})` : "";
+  const hasTranscript = rec.transcript && rec.transcript.trim().length > 0;
+  const transcriptMatches = hasTranscript && terms.some((t) => rec.transcript.toLowerCase().includes(t));
+  const offline = rec.offlineTranscript;
+  const offlineText = offline?.status === "done" ? offline.text || "" : "";
+  const offlineMatches = offlineText && terms.some((t) => offlineText.toLowerCase().includes(t));
+  const summary = rec.summary;
+  const summaryText = summary?.status === "done" ? summary.text || "" : "";
+  const summaryMatches = summaryText && terms.some((t) => summaryText.toLowerCase().includes(t));
+  el.innerHTML = `
+    <div class="top">
+      <span>${rec.starred ? '<span class="star" title="Starred, never deleted automatically">★</span> ' : ""}${highlight(rec.meetingTitle || "Teams call", terms)}</span>
+      <span>${formatClock(rec.durationSec * 1000)}</span>
+    </div>
+    <div class="meta">${escapeHtml(date)} | .${escapeHtml(rec.format || "webm")}${fallback}${size}${pauses}${trimmed}${rec.partial ? " | partial" : ""} | ${escapeHtml(rec.filename)}</div>
+    ${rec.notes ? `<div class="notes">${highlight(rec.notes, terms)}</div>` : ""}
+    ${talkTimeLine(rec, terms)}
+    ${hasTranscript ? `
+    <details ${transcriptMatches ? "open" : ""}>
+      <summary>Transcript</summary>
+      <div class="transcript-text">${highlight(rec.transcript, terms)}</div>
+    </details>` : ""}
+    ${offlineText ? `
+    <details ${offlineMatches ? "open" : ""}>
+      <summary>Offline transcript${offline.language ? ` (${escapeHtml(offline.language)})` : ""}</summary>
+      <div class="transcript-text">${highlight(offlineText, terms)}</div>
+    </details>` : ""}
+    ${rec.markers?.length ? `
+    <div class="markers">${rec.markers
+      .map(
+        (marker) =>
+          `<button data-at="${marker.offsetMs / 1000}" title="Play from here">${formatClock(marker.offsetMs)}${marker.label ? ` ${highlight(marker.label, terms)}` : ""}</button>`
+      )
+      .join("")}</div>` : ""}
+    ${summaryText ? `
+    <details ${summaryMatches ? "open" : ""}>
+      <summary>Meeting minutes${summary.model ? ` (${escapeHtml(summary.model)})` : ""}</summary>
+      <div class="transcript-text">${highlight(summaryText, terms)}</div>
+    </details>` : ""}
+    ${offline?.status === "pending" ? `<div class="meta">Offline transcript in progress...</div>` : ""}
+    ${summary?.status === "pending" ? `<div class="meta">Writing meeting minutes...</div>` : ""}
+    ${summary?.status === "failed" ? `<div class="meta">Meeting minutes failed: ${escapeHtml(summary.error || "")}</div>` : ""}
+    ${offline?.status === "failed" ? `<div class="meta">Offline transcription failed: ${escapeHtml(offline.error || "")}</div>` : ""}
+    <div class="actions">
+      <button data-act="play">Play</button>
+      <button data-act="show" class="secondary">Show in folder</button>
+      ${hasTranscript || offlineText ? `<button data-act="summarize" class="secondary">${summaryText ? "Summarize again" : "Summarize"}</button>` : ""}
+      <button data-act="star" class="secondary">${rec.starred ? "Unstar" : "Star"}</button>
+      <button data-act="delete" class="secondary">Delete</button>
+    </div>
+  `;
+  el.querySelectorAll(".markers button").forEach((btn) => {
+    btn.addEventListener("click", () => playAt(rec, Number(btn.dataset.at)));
+  });
+  el.querySelectorAll("button[data-act]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const act = btn.getAttribute("data-act");
+      if (act === "play") await openPlayer(rec);
+      if (act === "show" && rec.downloadId) await chrome.downloads.show(rec.downloadId);
+      if (act === "summarize") {
+        btn.disabled = true;
+        const response = await chrome.runtime.sendMessage({ type: "SUMMARIZE_RECORDING", id: rec.id });
+        if (!response?.ok) alert(response?.error || "Could not summarize this recording.");
+        btn.disabled = false;
+      }
+      if (act === "star") {
+        await chrome.runtime.sendMessage({ type: "SET_STARRED", id: rec.id, starred: !rec.starred });
+        await refreshList();
+      }
+      if (act === "delete") {
+        if (!confirm(`Delete "${rec.meetingTitle || rec.filename}" and its file?`)) return;
+        if (rec.id === player.recordingId) closePlayer();
+        await chrome.runtime.sendMessage({ type: "DELETE_RECORDING", id: rec.id });
+        await refreshList();
+      }
+    });
+  });
+  return el;
+}
+
+// Speakers come from the participant timeline captured during the call.
+function talkTimeLine(rec, terms) {
+  const speakers = (rec.participants || []).filter((p) => p.talkMs > 0);
+  if (!speakers.length) return "";
+  const parts = speakers.map(
+    (p) => `${highlight(p.name, terms)} ${formatClock(p.talkMs)} (${Math.round(p.share * 100)}%)`
+  );
+  return `<div class="meta">Talk time: ${parts.join(", ")}</div>`;
+}
+
+// ─── Transcription model ──────────────────────────────────────────────────────
+
+async function refreshModel() {
+  const model = await getModelInfo();
+  refs.removeModelBtn.hidden = !model;
+  refs.modelStatus.textContent = model
+    ? `${model.name} (${formatBytes(model.size)}), imported ${new Date(model.importedAt).toLocaleDateString()}`
+    : "No model imported. Offline transcription needs one; models are published by the whisper.cpp project.";
+}
+
+// ─── Backup ───────────────────────────────────────────────────────────────────
+
+async function exportArchive() {
+  const response = await chrome.runtime.sendMessage({ type: "EXPORT_ARCHIVE" });
+  if (!response?.ok) {
+    refs.backupStatus.textContent = `Export failed: ${response?.error || "unknown error"}`;
+    return;
+  }
+  const archive = response.result;
+  const blob = new Blob([JSON.stringify(archive, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `teams-recorder-archive-${new Date(archive.exportedAt).toISOString().slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 10_000);
+  refs.backupStatus.textContent = `Exported ${archive.recordings.length} recordings.`;
+}
+
+async function importArchive(file) {
+  let archive;
+  try {
+    archive = JSON.parse(await file.text());
+  } catch {
+    refs.backupStatus.textContent = `${file.name} is not valid JSON.`;
+    return;
+  }
+  const response = await chrome.runtime.sendMessage({
+    type: "IMPORT_ARCHIVE",
+    archive,
+    withSettings: refs.importSettings.checked,
+  });
+  showImportResult(response, file.name);
+}
+
+// Every recording has a `<name>.json` sidecar holding its full record. Other
+// JSON in the folder (archives, unrelated files) has no recording id and is
+// skipped by the background.
+async function rebuildFromFolder(files) {
+  const sidecars = files.filter((file) => file.name.endsWith(".json"));
+  if (!sidecars.length) {
+    refs.backupStatus.textContent = "No .json files in that folder.";
+    return;
+  }
+  const records = [];
+  for (const file of sidecars) {
+    try {
+      const record = JSON.parse(await file.text());
+      if (record && !Array.isArray(record) && typeof record === "object") records.push(record);
+    } catch {
+      // Not a sidecar; skip it.
+    }
+  }
+  const response = await chrome.runtime.sendMessage({ type: "IMPORT_RECORDINGS", records });
+  showImportResult(response, `${sidecars.length} .json files`);
+}
+
+function showImportResult(response, source) {
+  if (!response?.ok) {
+    refs.backupStatus.textContent = `Import from ${source} failed: ${response?.error || "unknown error"}`;
+    return;
+  }
+  const { added, updated, skipped, settings } = response.result;
+  const parts = [`${added} added`, `${updated} already in the library`];
+  if (skipped) parts.push(`${skipped} skipped`);
+  if (settings) parts.push(`${settings} settings restored`);
+  refs.backupStatus.textContent = `Imported from ${source}: ${parts.join(", ")}.`;
+}
+
+// ─── Player ───────────────────────────────────────────────────────────────────
+
+async function openPlayer(rec) {
+  closePlayer();
+  player.recordingId = rec.id;
+  refs.player.hidden = false;
+  refs.playerTitle.textContent = rec.meetingTitle || rec.filename;
+  document.querySelectorAll(".record").forEach((el) => {
+    el.classList.toggle("playing", el.dataset.id === rec.id);
+  });
+
+  let item = null;
+  if (rec.downloadId) [item] = await chrome.downloads.search({ id: rec.downloadId });
+  if (!item || !item.exists) {
+    showNote("The file is no longer where it was saved.");
+    refs.pickFile.hidden = false;
+    return;
+  }
+  // Downloads live on disk, which extension pages can only read with file access.
+  if (!(await chrome.extension.isAllowedFileSchemeAccess())) {
+    showNote('Enable "Allow access to file URLs" for this extension to play recordings directly.');
+    refs.pickFile.hidden = false;
+    return;
+  }
+  const url = toFileUrl(item.filename);
+  refs.audio.src = url;
+  await loadWaveform(() => readFileUrl(url), item.fileSize || item.totalBytes || 0);
+}
+
+// Jump points: open the recording if it is not already loaded, then seek.
+async function playAt(rec, atSec) {
+  if (player.recordingId !== rec.id) await openPlayer(rec);
+  if (!refs.audio.src) return;
+  if (refs.audio.readyState >= HTMLMediaElement.HAVE_METADATA) {
+    refs.audio.currentTime = atSec;
+  } else {
+    refs.audio.addEventListener("loadedmetadata", () => (refs.audio.currentTime = atSec), { once: true });
+  }
+  refs.audio.play().catch(() => {});
+  refs.player.scrollIntoView({ block: "nearest" });
+}
+
+// The popup links markers here as #play=<recording id>&t=<seconds>.
+async function playFromHash() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const id = params.get("play");
+  if (!id) return;
+  history.replaceState(null, "", location.pathname);
+  const response = await chrome.runtime.sendMessage({ type: "GET_RECORDING", id });
+  if (response?.result) await playAt(response.result, Number(params.get("t")) || 0);
+}
+
+function closePlayer() {
+  refs.audio.pause();
+  refs.audio.removeAttribute("src");
+  refs.audio.load();
+  releaseObjectUrl();
+  player.recordingId = null;
+  player.peaks = null;
+  refs.player.hidden = true;
+  refs.pickFile.hidden = true;
+  refs.fileInput.value = "";
+  showNote("");
+  document.querySelectorAll(".record.playing").forEach((el) => el.classList.remove("playing"));
+}
+
+function releaseObjectUrl() {
+  if (player.objectUrl) URL.revokeObjectURL(player.objectUrl);
+  player.objectUrl = null;
+}
+
+async function loadWaveform(readBuffer, size) {
+  player.peaks = null;
+  drawWaveform();
+  if (size > MAX_WAVEFORM_BYTES) {
+    showNote("Waveform skipped for this large file; playback is unaffected.");
+    return;
+  }
+  const recordingId = player.recordingId;
+  try {
+    const context = new AudioContext();
+    const buffer = await context.decodeAudioData(await readBuffer());
+    await context.close();
+    if (recordingId !== player.recordingId) return;
+    player.peaks = computePeaks(buffer, 1200);
+  } catch {
+    showNote("Waveform unavailable for this file.");
+  }
+  drawWaveform();
+}
+
+function computePeaks(buffer, buckets) {
+  const peaks = new Float32Array(buckets);
+  const channels = Array.from({ length: Math.min(2, buffer.numberOfChannels) }, (_, ch) =>
+    buffer.getChannelData(ch)
+  );
+  const size = Math.max(1, Math.floor(buffer.length / buckets));
+  for (let b = 0; b < buckets; b++) {
+    let peak = 0;
+    const end = Math.min(buffer.length, (b + 1) * size);
+    for (let i = b * size; i < end; i++) {
+      for (const data of channels) peak = Math.max(peak, Math.abs(data[i]));
+    }
+    peaks[b] = peak;
+  }
+  return peaks;
+}
+
+function drawWaveform() {
+  const canvas = refs.waveform;
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(canvas.clientWidth * ratio);
+  canvas.height = Math.round(canvas.clientHeight * ratio);
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  const duration = refs.audio.duration;
+  const progress = Number.isFinite(duration) && duration > 0 ? refs.audio.currentTime / duration : 0;
+  const mid = canvas.height / 2;
+  if (player.peaks) {
+    const barWidth = canvas.width / player.peaks.length;
+    player.peaks.forEach((peak, i) => {
+      const x = i * barWidth;
+      const h = Math.max(1, peak * (canvas.height - 4));
+      ctx.fillStyle = x / canvas.width <= progress ? "#1d4ed8" : "#94a3b8";
+      ctx.fillRect(x, mid - h / 2, Math.max(1, barWidth - 0.5), h);
+    });
+  } else {
+    ctx.fillStyle = "#cbd5e1";
+    ctx.fillRect(0, mid - 1, canvas.width, 2);
+  }
+  ctx.fillStyle = "#dc2626";
+  ctx.fillRect(progress * canvas.width, 0, Math.max(1, ratio), canvas.height);
+}
+
+function showNote(text) {
+  refs.playerNote.hidden = !text;
+  refs.playerNote.textContent = text;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function toFileUrl(path) {
+  const normalized = path.replaceAll("\\", "/");
+  const prefixed = normalized.startsWith("/") ? normalized : `/${normalized}`;
+  return `file://${prefixed.split("/").map(encodeURIComponent).join("/").replace(/^\/([A-Za-z])%3A/, "/$1:")}`;
+}
+
+// fetch() refuses file: URLs, XHR does not once file access is granted.
+function readFileUrl(url) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("GET", url);
+    xhr.responseType = "arraybuffer";
+    xhr.onload = () => (xhr.response ? resolve(xhr.response) : reject(new Error("Empty file.")));
+    xhr.onerror = () => reject(new Error("File could not be read."));
+    xhr.send();
+  });
+}
+
+// Matches are found in the raw text and each piece is escaped on its own, so a
+// term like "amp" or "lt" never lands inside an entity.
+function highlight(text, terms) {
+  if (!terms.length) return escapeHtml(text);
+  const pattern = new RegExp(
+    `(${terms.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})`,
+    "gi"
+  );
+  // With one capture group, split() puts the matches at the odd indexes.
+  return String(text)
+    .split(pattern)
+    .map((part, index) => (index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join("");
+}
@@ -0,0 +1,76 @@
+/**
+ * Loudness normalization for the formats encoded from PCM (.wav and .mp3).
+ *
+ * Wraps a streaming encoder from wav-writer.js or mp3-encoder.js. While
+ * recording, PCM blocks are spilled into Blob parts (disk-backed, like the
+ * encoders' output) and their loudness is measured; finish() works out one
+ * gain for the whole recording and only then streams the audio through it
+ * into the encoder, so the file is never held in memory as a whole.
+ *
+ * Loudness is the RMS of the blocks louder than GATE_DB, so long silences do
+ * not pull it down. The gain is capped so the loudest peak stays under
+ * PEAK_CEILING_DB and quiet recordings are not boosted into noise.
+ */
+
+import { createBlobSpiller } from "./blob-spiller.js";
+
+const GATE_DB = -50;
+const PEAK_CEILING_DB = -1;
+const MAX_GAIN_DB = 20;
+const SPILL_BYTES = 4 * 1024 * 1024;
+
+export function createLoudnessNormalizer(encoder, { targetDb = -20 } = {}) {
+  const channels = encoder.encoding.channels || 2;
+  const pcm = createBlobSpiller({ spillBytes: SPILL_BYTES });
+  let sumSquares = 0;
+  let measured = 0;
+  let peak = 0;
+  let gainDb = null;
+
+  function computeGainDb() {
+    if (!measured || !peak) return 0;
+    const loudnessDb = 10 * Math.log10(sumSquares / measured);
+    const headroomDb = PEAK_CEILING_DB - 20 * Math.log10(peak);
+    return Math.round(Math.min(targetDb - loudnessDb, headroomDb, MAX_GAIN_DB) * 10) / 10;
+  }
+
+  return {
+    format: encoder.format,
+    get encoding() {
+      return { ...encoder.encoding, normalization: gainDb === null ? null : { targetDb, gainDb } };
+    },
+    encode(channelData) {
+      const frames = channelData[0].length;
+      const interleaved = new Float32Array(frames * channels);
+      let blockSquares = 0;
+      for (let i = 0; i < frames; i++) {
+        for (let ch = 0; ch < channels; ch++) {
+          const s = (channelData[ch] || channelData[0])[i];
+          interleaved[i * channels + ch] = s;
+          blockSquares += s * s;
+          peak = Math.max(peak, Math.abs(s));
+        }
+      }
+      if (blockSquares && 10 * Math.log10(blockSquares / interleaved.length) > GATE_DB) {
+        sumSquares += blockSquares;
+        measured += interleaved.length;
+      }
+      pcm.push(interleaved);
+    },
+    async finish() {
+      gainDb = computeGainDb();
+      const gain = 10 ** (gainDb / 20);
+      for (const part of pcm.finish()) {
+        const samples = new Float32Array(await part.arrayBuffer());
+        const frames = samples.length / channels;
+        const channelData = Array.from({ length: channels }, (_, ch) => {
+          const out = new Float32Array(frames);
+          for (let i = 0; i < frames; i++) out[i] = samples[i * channels + ch] * gain;
+          return out;
+        });
+        encoder.encode(channelData);
+      }
+      return encoder.finish();
+    },
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * Meeting minutes from a recording's transcript, written by a language model
+ * behind an OpenAI-compatible chat completions endpoint the user configures
+ * (a local llama.cpp or Ollama server, for instance).
+ *
+ * The request carries the transcript, markers and notes of one recording and
+ * asks for Markdown with a summary, decisions and action items. Very long
+ * transcripts are cut to MAX_TRANSCRIPT_CHARS so they fit a local model's
+ * context; the minutes say so when that happens.
+ */
+
+import { formatTimestamp } from "./captions.js";
+import { endpointPermission } from "./endpoint-access.js";
+
+const MAX_TRANSCRIPT_CHARS = 60_000;
+const REQUEST_TIMEOUT_MS = 5 * 60 * 1000;
+
+const SYSTEM_PROMPT = [
+  "You write meeting minutes from the transcript of a recorded call.",
+  "Answer in Markdown with exactly these sections:",
+  "## Summary - a few sentences on what the meeting covered.",
+  "## Decisions - a bullet list of what was agreed, or \"None recorded.\"",
+  "## Action items - a checklist (\"- [ ] \") with the owner and due date when the transcript names them,",
+  "or \"None recorded.\"",
+  "Only use what is in the transcript, markers and notes. Answer in the language of the transcript.",
+].join("\n");
+
+/** Transcript the minutes are written from: the offline one when it exists, else the live captions. */
+function summarySource(record) {
+  const offline = record.offlineTranscript;
+  if (offline?.status === "done" && offline.text?.trim()) {
+    return { source: "offline transcript", text: offline.text.trim() };
+  }
+  return { source: "live captions", text: (record.transcript || "").trim() };
+}
+
+/** Chat messages for one recording; null when it has no transcript. */
+export function buildSummaryMessages(record) {
+  const { source, text: transcript } = summarySource(record);
+  if (!transcript) return null;
+  const truncated = transcript.length > MAX_TRANSCRIPT_CHARS;
+  const excerpt = transcript.slice(0, MAX_TRANSCRIPT_CHARS);
+  const markers = (record.markers || []).map(
+    (marker) => `- ${formatTimestamp(marker.offsetMs, ".").slice(0, 8)} ${marker.label || "(marker)"}`
+  );
+  const header = [
+    `Meeting: ${record.meetingTitle || "Teams call"}`,
+    `Date: ${new Date(record.startedAt || record.createdAt).toLocaleString()}`,
+    record.participants?.length ? `Participants: ${record.participants.map((p) => p.name).join(", ")}` : "",
+  ];
+  const parts = [
+    header.filter(Boolean).join("\n"),
+    record.notes ? `Notes taken during the call:\n${record.notes}` : "",
+    markers.length ? `Markers set during the call:\n${markers.join("\n")}` : "",
+    `Transcript${truncated ? " (cut short, the end of the call is missing)" : ""}:\n${excerpt}`,
+  ];
+  return {
+    source,
+    truncated,
+    messages: [
+      { role: "system", content: SYSTEM_PROMPT },
+      { role: "user", content: parts.filter(Boolean).join("\n\n") },
+    ],
+  };
+}
+
+/**
+ * Send `messages` to the endpoint and return the model's answer. `endpoint` is
+ * either the API base (".../v1") or the full chat completions URL.
+ *
+ * @param {object} options
+ * @param {string} options.endpoint
+ * @param {string} [options.model] left out of the request when empty, for servers that serve one model
+ * @param {string} [options.apiKey] sent as a Bearer token when set
+ * @param {object[]} options.messages
+ * @returns {Promise<{ text: string, model: string }>}
+ */
+export async function requestSummary({ endpoint, model, apiKey, messages }) {
+  const url = chatCompletionsUrl(endpoint);
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({ ...(model ? { model } : {}), messages, temperature: 0.2, stream: false }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (error) {
+    if (error.name === "TimeoutError") throw new Error(`No answer from ${url} within 5 minutes.`);
+    throw new Error(`Could not reach ${url}. Is the server running and access to it allowed in the popup?`);
+  }
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body?.error?.message || body?.error || response.statusText;
+    throw new Error(`The summary endpoint answered ${response.status}${detail ? `: ${detail}` : ""}.`);
+  }
+  const text = body?.choices?.[0]?.message?.content?.trim();
+  if (!text) throw new Error("The summary endpoint returned no text.");
+  return { text, model: body.model || model || "" };
+}
+
+/** Contents of the summary.md sidecar. */
+export function formatSummaryMarkdown(record, { text, model, source, truncated }) {
+  const date = new Date(record.startedAt || record.createdAt).toLocaleString();
+  return [
+    `# ${record.meetingTitle || "Teams call"}`,
+    "",
+    `${date} | ${record.filename}`,
+    "",
+    text,
+    "",
+    "---",
+    `Written by ${model || "a language model"} from the ${source}${truncated ? " (cut short)" : ""}.` +
+      " Check it against the recording.",
+    "",
+  ].join("\n");
+}
+
+function chatCompletionsUrl(endpoint) {
+  const base = String(endpoint || "").trim().replace(/\/+$/, "");
+  if (!endpointPermission(base)) {
+    throw new Error("Set an https:// (or local http://) summary endpoint in the popup first.");
+  }
+  return /\/chat\/completions$/.test(base) ? base : `${base}/chat/completions`;
+}
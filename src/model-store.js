@@ -0,0 +1,66 @@
+/**
+ * Storage for the user-supplied whisper.cpp (ggml) model used by offline
+ * transcription. Models are tens of MB, far beyond chrome.storage, so the
+ * file is kept in IndexedDB: the library page imports it, the offscreen
+ * document loads it.
+ */
+
+const DB_NAME = "teams-recorder-models";
+const DB_VERSION = 1;
+const MODELS = "models";
+const ACTIVE_KEY = "active";
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(MODELS);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+function run(mode, action) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(MODELS, mode);
+        const request = action(tx.objectStore(MODELS));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted."));
+      })
+  );
+}
+
+/** Replace the active model with `file` (a File from an <input type="file">). */
+export async function saveModel(file) {
+  const record = { name: file.name, size: file.size, importedAt: Date.now(), blob: file };
+  await run("readwrite", (store) => store.put(record, ACTIVE_KEY));
+  return describe(record);
+}
+
+/** The active model as `{ name, size, importedAt, blob }`, or null. */
+export async function loadModel() {
+  return (await run("readonly", (store) => store.get(ACTIVE_KEY))) || null;
+}
+
+/** Model details without the file itself. */
+export async function getModelInfo() {
+  const record = await loadModel();
+  return record ? describe(record) : null;
+}
+
+export async function removeModel() {
+  await run("readwrite", (store) => store.delete(ACTIVE_KEY));
+}
+
+function describe({ name, size, importedAt }) {
+  return { name, size, importedAt };
+}
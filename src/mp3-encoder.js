@@ -0,0 +1,42 @@
+/**
+ * Streaming MP3 encoder built on the bundled LAME port (src/vendor/lame.min.js,
+ * loaded as a classic script by offscreen.html so it defines `lamejs`).
+ *
+ * PCM blocks are encoded as they arrive and the MP3 frames are spilled into
+ * Blob parts, so the finished file is never held in one contiguous buffer.
+ */
+
+import { createBlobSpiller } from "./blob-spiller.js";
+
+export const MP3_BITRATES = [64, 96, 128, 160, 192, 256, 320];
+
+export function createMp3Encoder({ sampleRate, channels = 2, bitrate = 128 }) {
+  const lame = globalThis.lamejs;
+  if (!lame?.Mp3Encoder) throw new Error("MP3 encoder is not available.");
+  const kbps = MP3_BITRATES.includes(bitrate) ? bitrate : 128;
+  const encoder = new lame.Mp3Encoder(channels, sampleRate, kbps);
+  const output = createBlobSpiller();
+
+  return {
+    format: "mp3",
+    encoding: { codec: "mp3", sampleRate, channels, bitrateKbps: kbps },
+    encode(channelData) {
+      const left = floatToInt16(channelData[0]);
+      const right = channels > 1 ? floatToInt16(channelData[1] || channelData[0]) : undefined;
+      output.push(encoder.encodeBuffer(left, right));
+    },
+    finish() {
+      output.push(encoder.flush());
+      return new Blob(output.finish(), { type: "audio/mpeg" });
+    },
+  };
+}
+
+function floatToInt16(samples) {
+  const out = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    out[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+  }
+  return out;
+}
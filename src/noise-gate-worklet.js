@@ -0,0 +1,54 @@
+/**
+ * AudioWorklet processor that gates the microphone.
+ *
+ * Below `threshold` (dBFS) the signal is faded out, so keyboard and room
+ * noise between sentences stays out of the recording. The gate opens within
+ * a few milliseconds and is held open briefly after the level drops, so word
+ * endings and short pauses are not chopped.
+ */
+
+const ATTACK_MS = 5;
+const RELEASE_MS = 150;
+const HOLD_MS = 250;
+const ENVELOPE_MS = 20;
+
+class NoiseGateProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: "threshold", defaultValue: -50, minValue: -100, maxValue: 0, automationRate: "k-rate" }];
+  }
+
+  constructor() {
+    super();
+    const coefficient = (ms) => 1 - Math.exp(-1 / ((ms / 1000) * sampleRate));
+    this.attack = coefficient(ATTACK_MS);
+    this.release = coefficient(RELEASE_MS);
+    this.envelopeDecay = 1 - coefficient(ENVELOPE_MS);
+    this.holdFrames = Math.round((HOLD_MS / 1000) * sampleRate);
+    this.envelope = 0;
+    this.gain = 0;
+    this.hold = 0;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (!input || !input.length) return true;
+
+    const threshold = 10 ** (parameters.threshold[0] / 20);
+    const frames = input[0].length;
+    for (let i = 0; i < frames; i++) {
+      let level = 0;
+      for (let ch = 0; ch < input.length; ch++) level = Math.max(level, Math.abs(input[ch][i]));
+      this.envelope = Math.max(level, this.envelope * this.envelopeDecay);
+      if (this.envelope >= threshold) this.hold = this.holdFrames;
+      else if (this.hold > 0) this.hold -= 1;
+
+      const target = this.hold > 0 ? 1 : 0;
+      this.gain += (target - this.gain) * (target > this.gain ? this.attack : this.release);
+      for (let ch = 0; ch < output.length; ch++) output[ch][i] = (input[ch] || input[0])[i] * this.gain;
+    }
+    return true;
+  }
+}
+
+registerProcessor("noise-gate", NoiseGateProcessor);
@@ -0,0 +1,193 @@
+/**
+ * Offline speech-to-text for finished recordings, run in the offscreen
+ * document on the CPU with the bundled whisper.cpp WebAssembly build
+ * (src/vendor/transcribe) and the model imported into model-store.js.
+ * No audio leaves the machine.
+ *
+ * The recording is never read or decoded whole: webm-demuxer.js streams the
+ * Opus packets out of the file, WebCodecs decodes them a few at a time, and
+ * the samples are downmixed and resampled to 16 kHz mono into WINDOW_SEC
+ * windows. Each window goes to whisper before the next is decoded, so memory
+ * holds one window of PCM (about 19 MB) whatever the length of the call.
+ * Segment offsets are shifted back onto the recording's timeline.
+ */
+
+import { loadModel } from "./model-store.js";
+import { readWebmAudio } from "./webm-demuxer.js";
+
+const SAMPLE_RATE = 16000;
+const WINDOW_SEC = 300;
+const MAX_THREADS = 4;
+// Packets handed to the decoder ahead of its output.
+const MAX_QUEUED_PACKETS = 64;
+
+/**
+ * @param {Blob} blob finished webm recording, as MediaRecorder writes it
+ * @param {object} options
+ * @param {string} [options.language="auto"] whisper language code
+ * @param {"mix"|"left"|"right"} [options.channel="mix"] channel to transcribe
+ * @param {(fraction: number) => void} [options.onProgress]
+ * @returns {Promise<{ segments: Array<{start:number,end:number,text:string}>, language: string, model: string }>}
+ */
+export async function transcribeBlob(blob, { language = "auto", channel = "mix", onProgress = () => {} } = {}) {
+  const model = await loadModel();
+  if (!model) throw new Error("No transcription model imported. Add one on the library page.");
+  // The whisper build runs on threads, which need SharedArrayBuffer and so a
+  // cross-origin isolated page. The manifest isolates every extension page
+  // with COEP "credentialless" rather than "require-corp": the library's
+  // player loads recordings from file: URLs, which carry no
+  // Cross-Origin-Resource-Policy header and which require-corp would block.
+  if (!globalThis.crossOriginIsolated) {
+    throw new Error("Offline transcription needs a cross-origin isolated extension page.");
+  }
+
+  if (typeof AudioDecoder === "undefined") throw new Error("Offline transcription needs WebCodecs audio support.");
+  const [{ default: createModule }, { FileTranscriber }] = await Promise.all([
+    import("./vendor/transcribe/shout.wasm.js"),
+    import("./vendor/transcribe/FileTranscriber.js"),
+  ]);
+
+  // FileTranscriber decodes files itself; hand it the prepared PCM instead.
+  class PcmTranscriber extends FileTranscriber {
+    async _loadAudio(samples) {
+      return samples;
+    }
+  }
+
+  // The total length is unknown until the end, so progress follows the bytes
+  // read: each window spans from where the previous one ended to its own end.
+  let progressFrom = 0;
+  let progressTo = 0;
+  const transcriber = new PcmTranscriber({
+    createModule,
+    model: new File([model.blob], model.name),
+    print: () => {},
+    printErr: () => {},
+    onProgress: (percent) => onProgress(progressFrom + ((progressTo - progressFrom) * percent) / 100),
+  });
+
+  const segments = [];
+  let detectedLanguage = language;
+  try {
+    await transcriber.init();
+    const threads = Math.max(1, Math.min(MAX_THREADS, navigator.hardwareConcurrency || 2));
+    let index = 0;
+    for await (const { samples, position } of pcmWindows(blob, channel)) {
+      progressFrom = progressTo;
+      progressTo = blob.size ? position / blob.size : 1;
+      const offsetMs = index * WINDOW_SEC * 1000;
+      const result = await transcriber.transcribe(samples, { lang: language, threads });
+      detectedLanguage = result?.result?.language || detectedLanguage;
+      for (const item of result?.transcription || []) {
+        const text = item.text.trim();
+        if (!text || /^\[.*\]$/.test(text)) continue; // [BLANK_AUDIO] and similar markers
+        segments.push({ start: offsetMs + item.offsets.from, end: offsetMs + item.offsets.to, text });
+      }
+      onProgress(progressTo);
+      index += 1;
+    }
+  } finally {
+    transcriber.destroy();
+  }
+  return { segments, language: detectedLanguage, model: model.name };
+}
+
+/**
+ * 16 kHz mono windows of `blob`'s audio, WINDOW_SEC long (the last one
+ * shorter), each with the byte `position` decoding had reached.
+ */
+async function* pcmWindows(blob, channel) {
+  const windowSamples = WINDOW_SEC * SAMPLE_RATE;
+  const ready = [];
+  let window = new Float32Array(windowSamples);
+  let filled = 0;
+  let position = 0;
+  let failure = null;
+  let resample = null;
+
+  const pushSample = (value) => {
+    window[filled++] = value;
+    if (filled < windowSamples) return;
+    ready.push({ samples: window, position });
+    window = new Float32Array(windowSamples);
+    filled = 0;
+  };
+  const decoder = new AudioDecoder({
+    output: (data) => {
+      try {
+        resample ??= createResampler(data.sampleRate, SAMPLE_RATE, pushSample);
+        resample(channelSamples(data, channel));
+      } finally {
+        data.close();
+      }
+    },
+    error: (error) => {
+      failure = error;
+    },
+  });
+
+  try {
+    for await (const item of readWebmAudio(blob)) {
+      if (failure) throw failure;
+      if (item.type === "config") {
+        const { codec, sampleRate, numberOfChannels, description } = item;
+        const config = { codec, sampleRate, numberOfChannels, description };
+        if (!(await AudioDecoder.isConfigSupported(config)).supported) {
+          throw new Error(`This browser cannot decode ${config.codec} audio.`);
+        }
+        decoder.configure(config);
+        continue;
+      }
+      position = item.position;
+      decoder.decode(new EncodedAudioChunk({ type: "key", timestamp: item.timestamp, data: item.data }));
+      while (decoder.decodeQueueSize > MAX_QUEUED_PACKETS) {
+        await new Promise((resolve) => decoder.addEventListener("dequeue", resolve, { once: true }));
+      }
+      while (ready.length) yield ready.shift();
+    }
+    if (decoder.state === "configured") await decoder.flush();
+    if (failure) throw failure;
+    position = blob.size;
+    while (ready.length) yield ready.shift();
+    if (filled) yield { samples: window.subarray(0, filled), position };
+  } finally {
+    if (decoder.state !== "closed") decoder.close();
+  }
+}
+
+// One channel of a decoded frame, or both averaged for "mix".
+function channelSamples(data, channel) {
+  const plane = (index) => {
+    const samples = new Float32Array(data.numberOfFrames);
+    data.copyTo(samples, { planeIndex: index, format: "f32-planar" });
+    return samples;
+  };
+  if (data.numberOfChannels === 1 || channel === "left") return plane(0);
+  if (channel === "right") return plane(1);
+  const left = plane(0);
+  const right = plane(1);
+  for (let i = 0; i < left.length; i++) left[i] = (left[i] + right[i]) / 2;
+  return left;
+}
+
+// Streaming downsampler: each output sample averages the input samples it
+// covers, which also filters out most of what would alias. Plenty for speech.
+function createResampler(inputRate, outputRate, push) {
+  const step = inputRate / outputRate;
+  let next = step;
+  let read = 0;
+  let sum = 0;
+  let count = 0;
+  return (samples) => {
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i];
+      count += 1;
+      read += 1;
+      if (read < next) continue;
+      push(sum / count);
+      sum = 0;
+      count = 0;
+      next += step;
+    }
+  };
+}
@@ -1,16 +1,63 @@
+import { audioSetting } from "./audio-settings.js";
+import { appendChunk, createSession, getSession, readTrackBlob } from "./chunk-store.js";
+import { createLoudnessNormalizer } from "./loudness-normalizer.js";
+import { createMp3Encoder } from "./mp3-encoder.js";
+import { transcribeBlob } from "./offline-transcriber.js";
+import { createSilenceTrimmer, rmsDb } from "./silence-trimmer.js";
+import { createWavWriter } from "./wav-writer.js";
+
 let mediaRecorder = null;
 let mixedStream = null;
 let tabStream = null;
 let micStream = null;
-let chunks = [];
+let trackRecorders = [];
+let trackLayout = "mixed";
+let sessionId = null;
+let chunkSeqs = {};
+let pendingWrites = Promise.resolve();
 let activeFormat = "webm";
 let audioContext = null;
 let audioDestination = null;
+let mixBus = null;
+// End of the processing chain: the compressor/limiter when enabled, else mixBus.
+let mixOut = null;
+// Per-source GainNodes, kept so the popup's sliders apply while recording.
+let sourceGains = {};
+// Processing settings for this recording, see DEFAULT_SETTINGS in background.js.
+let processing = {};
+let pcmTap = null;
+let encoder = null;
+// Why the MP3/WAV encoder did not start, reported with the webm fallback.
+let encoderError = "";
+let trimmer = null;
+let recordingPaused = false;
+// Long-silence handling: { action: "off"|"pause"|"trim", minSec, levelDb }.
+let silence = { action: "off" };
+// Set while the recorder is paused because the mix went quiet.
+let autoPaused = false;
+// Level meters on the mic, the tab audio and the mix, by source:
+// { analyser, samples, silentSince }.
+let meters = {};
+let meterTimer = null;
+let silenceWarningMs = 0;
+// Offline transcriptions run one at a time, after their recording is saved.
+let transcriptionQueue = Promise.resolve();
+let transcribingId = null;
+// Set from stop until RECORDING_FINALIZED has been handed to the background.
+let finalizing = false;
+// Object URLs handed to the downloads manager; revoked once the download ends.
+const downloadUrls = new Set();
+
+const LEVEL_INTERVAL_MS = 250;
+// Quieter than this counts as silence. A muted or dead input sits far below;
+// room noise through a live microphone stays above it.
+const SILENCE_DB = -60;
+const METER_FLOOR_DB = -60;
 
 chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   if (message?.target !== "offscreen") return;
   handle(message)
-    .then(() => sendResponse({ ok: true }))
+    .then((result) => sendResponse({ ok: true, result }))
     .catch((error) => sendResponse({ ok: false, error: error.message }));
   return true;
 });
@@ -22,13 +69,31 @@ async function handle(message) {
       break;
     case "OFFSCREEN_PAUSE":
       mediaRecorder?.pause();
+      trackRecorders.forEach(({ recorder }) => recorder.pause());
+      recordingPaused = true;
       break;
     case "OFFSCREEN_RESUME":
       mediaRecorder?.resume();
+      trackRecorders.forEach(({ recorder }) => recorder.resume());
+      recordingPaused = false;
+      // Resumed by hand during a silence: wait for a whole new one before pausing again.
+      autoPaused = false;
+      if (meters.mix) meters.mix.silentSince = null;
       break;
     case "OFFSCREEN_STOP":
       await stopCapture();
       break;
+    case "OFFSCREEN_RECOVER":
+      await recoverSession(message.sessionId);
+      break;
+    case "OFFSCREEN_RELEASE_URL":
+      releaseDownloadUrl(message.url);
+      break;
+    case "OFFSCREEN_SET_GAINS":
+      setSourceGains(message.gains);
+      break;
+    case "OFFSCREEN_STATUS":
+      return recorderStatus();
     default:
       break;
   }
@@ -37,20 +102,29 @@ async function handle(message) {
 async function startCapture(payload) {
   await cleanup();
   activeFormat = payload.format || "webm";
+  encoderError = "";
+  silence = payload.silence || { action: "off" };
+  processing = payload.processing || {};
   const sourceMode = payload.sourceMode || "both";
-  const includeSystem = sourceMode === "both" || sourceMode === "system";
-  const includeMic = sourceMode === "both" || sourceMode === "mic";
+  const includeVideo = sourceMode === "video" && Boolean(payload.video);
+  const includeSystem = sourceMode === "both" || sourceMode === "system" || includeVideo;
+  const includeMic = sourceMode === "both" || sourceMode === "mic" || includeVideo;
 
   if (includeSystem) {
     if (!payload.streamId) throw new Error("System audio capture is unavailable for this tab.");
+    const tabSource = { chromeMediaSource: "tab", chromeMediaSourceId: payload.streamId };
     tabStream = await navigator.mediaDevices.getUserMedia({
-      audio: {
-        mandatory: {
-          chromeMediaSource: "tab",
-          chromeMediaSourceId: payload.streamId,
-        },
-      },
-      video: false,
+      audio: { mandatory: tabSource },
+      video: includeVideo
+        ? {
+            mandatory: {
+              ...tabSource,
+              maxWidth: payload.video.width,
+              maxHeight: payload.video.height,
+              maxFrameRate: payload.video.frameRate,
+            },
+          }
+        : false,
     });
   }
 
@@ -72,7 +146,7 @@ async function startCapture(payload) {
     }
   }
 
-  audioContext = new AudioContext();
+  audioContext = createAudioContext(activeFormat === "wav" ? payload.wav?.sampleRate : undefined);
   if (audioContext.state === "suspended") {
     try {
       await audioContext.resume();
@@ -81,57 +155,479 @@ async function startCapture(payload) {
     }
   }
   audioDestination = audioContext.createMediaStreamDestination();
+  mixBus = audioContext.createGain();
+  mixOut = processing.compressor ? connectDynamics(mixBus) : mixBus;
+  mixOut.connect(audioDestination);
+  addMeter("mix", mixOut);
+
+  trackLayout = tabStream && micStream ? payload.trackLayout || "mixed" : "mixed";
+  // Stereo layout: mic downmixed to the left channel, tab audio to the right.
+  const merger = trackLayout === "stereo" ? audioContext.createChannelMerger(2) : null;
+  if (merger) merger.connect(mixBus);
 
   if (includeSystem && tabStream) {
-    const tabSource = audioContext.createMediaStreamSource(tabStream);
-    tabSource.connect(audioDestination);
+    const tabSource = connectSourceGain("system", audioContext.createMediaStreamSource(tabStream));
+    if (merger) connectMono(tabSource, merger, 1);
+    else tabSource.connect(mixBus);
+    addMeter("system", tabSource);
     // Route captured tab audio back to system speakers via the <audio> element.
     // Connecting to audioContext.destination is not reliable in offscreen documents
     // because the AudioContext starts suspended and cannot be resumed without a
     // user gesture in that context.  An HTMLAudioElement bypasses that restriction.
     const speakerEl = document.getElementById("speaker-output");
     if (speakerEl) {
-      speakerEl.srcObject = tabStream;
+      speakerEl.srcObject = new MediaStream(tabStream.getAudioTracks());
       speakerEl.play().catch(() => {
         // Ignore autoplay errors; audio will still be captured for recording.
       });
     }
   }
   if (includeMic && micStream) {
-    audioContext.createMediaStreamSource(micStream).connect(audioDestination);
+    let micSource = connectSourceGain("mic", audioContext.createMediaStreamSource(micStream));
+    if (processing.noiseGate) micSource = await connectNoiseGate(micSource);
+    if (merger) connectMono(micSource, merger, 0);
+    else micSource.connect(mixBus);
+    addMeter("mic", micSource);
   }
 
   mixedStream = audioDestination.stream;
   if (!mixedStream.getAudioTracks().length) {
     throw new Error("No audio source available for recording.");
   }
-  chunks = [];
 
+  if (activeFormat === "mp3" || activeFormat === "wav") {
+    const options = payload[activeFormat] || {};
+    // A mono file would fold the two sides of a stereo-split recording together.
+    const channels = trackLayout === "stereo" ? 2 : options.channels;
+    await startEncoder(activeFormat, { ...options, channels });
+  }
   if (payload.beepOnStart) playBeep(audioContext);
 
   const mimeType = MediaRecorder.isTypeSupported("audio/webm;codecs=opus")
     ? "audio/webm;codecs=opus"
     : "audio/webm";
-  mediaRecorder = new MediaRecorder(mixedStream, { mimeType });
+  const videoTrack = includeVideo ? tabStream.getVideoTracks()[0] : null;
+  if (videoTrack) {
+    // The tab's video is muxed with the mixed (not the raw tab) audio.
+    const recordStream = new MediaStream([videoTrack, ...mixedStream.getAudioTracks()]);
+    mediaRecorder = new MediaRecorder(recordStream, {
+      mimeType: pickVideoMimeType(),
+      videoBitsPerSecond: payload.video.bitsPerSecond,
+    });
+  } else {
+    mediaRecorder = new MediaRecorder(mixedStream, { mimeType });
+  }
+
+  // Separate layout: the mix is recorded as usual plus one file per source.
+  if (trackLayout === "separate") {
+    trackRecorders = [
+      { track: "mic", stream: micStream },
+      { track: "system", stream: new MediaStream(tabStream.getAudioTracks()) },
+    ].map(({ track, stream }) => ({ track, recorder: new MediaRecorder(stream, { mimeType }) }));
+  }
+
+  sessionId = payload.sessionId;
+  chunkSeqs = {};
+  pendingWrites = Promise.resolve();
+  await createSession({
+    ...payload.metadata,
+    id: sessionId,
+    format: activeFormat,
+    mimeType: mediaRecorder.mimeType || mimeType,
+    trackLayout,
+    silence,
+    processing,
+    tracks: trackRecorders.map(({ track }) => track),
+    video: videoTrack ? describeVideo(videoTrack) : null,
+  });
 
   mediaRecorder.ondataavailable = (event) => {
-    if (event.data && event.data.size > 0) chunks.push(event.data);
+    if (event.data && event.data.size > 0) persistChunk("main", event.data);
   };
+  const trackStops = trackRecorders.map(({ track, recorder }) => {
+    recorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) persistChunk(track, event.data);
+    };
+    return new Promise((resolve) => recorder.addEventListener("stop", resolve, { once: true }));
+  });
 
   mediaRecorder.onstop = async () => {
+    const id = sessionId;
+    finalizing = true;
     try {
-      const blob = new Blob(chunks, { type: mediaRecorder?.mimeType || "audio/webm" });
-      const finalized = await finalize(blob, activeFormat);
-      await chrome.runtime.sendMessage({
+      await Promise.all(trackStops);
+      await pendingWrites;
+      const session = await getSession(id);
+      const encoded = await stopEncoder();
+      const blob = await readTrackBlob(id, "main", session?.mimeType);
+      const finalized = await finalize(blob, activeFormat, encoded, encoderError);
+      // Read before finalizing: the background deletes the chunks once saved.
+      const sources = await transcriptionSources(session, blob);
+      const response = await chrome.runtime.sendMessage({
         type: "RECORDING_FINALIZED",
+        sessionId: id,
+        session,
+        trackLayout,
+        tracks: await finalizeTracks(session),
         ...finalized,
       });
+      queueTranscription(response?.result, sources);
+    } catch (error) {
+      // Without this the background would wait for RECORDING_FINALIZED forever.
+      await chrome.runtime
+        .sendMessage({ type: "RECORDING_FAILED", sessionId: id, error: error?.message || String(error) })
+        .catch(() => {});
     } finally {
+      finalizing = false;
       await cleanup();
     }
   };
 
   mediaRecorder.start(1000);
+  trackRecorders.forEach(({ recorder }) => recorder.start(1000));
+  silenceWarningMs = Math.max(0, Number(payload.silenceWarningSec) || 0) * 1000;
+  meterTimer = setInterval(reportLevels, LEVEL_INTERVAL_MS);
+}
+
+function pickVideoMimeType() {
+  return (
+    ["video/webm;codecs=vp9,opus", "video/webm;codecs=vp8,opus"].find((type) =>
+      MediaRecorder.isTypeSupported(type)
+    ) || "video/webm"
+  );
+}
+
+function describeVideo(track) {
+  const { width, height, frameRate } = track.getSettings();
+  return { width, height, frameRate: frameRate ? Math.round(frameRate) : null };
+}
+
+// WAV output runs the whole graph at the requested rate so PCM can be written
+// without resampling; other formats use the device default.
+function createAudioContext(sampleRate) {
+  if (sampleRate) {
+    try {
+      return new AudioContext({ sampleRate });
+    } catch {
+      // Unsupported rate; fall back to the default and report the real one.
+    }
+  }
+  return new AudioContext();
+}
+
+// Processing chain. Each source gets its own gain, the mic optionally a noise
+// gate, and the sum a compressor followed by a limiter. Only the recording is
+// processed; the call still plays through the speaker element untouched.
+
+function connectSourceGain(source, node) {
+  const gain = audioContext.createGain();
+  gain.gain.value = dbToGain(processing[`${source}GainDb`]);
+  node.connect(gain);
+  sourceGains[source] = gain;
+  return gain;
+}
+
+function setSourceGains(gains = {}) {
+  if (!audioContext) return;
+  for (const [source, gain] of Object.entries(sourceGains)) {
+    const db = gains[`${source}GainDb`];
+    if (db === undefined) continue;
+    processing[`${source}GainDb`] = db;
+    // A short ramp so moving the slider does not click.
+    gain.gain.setTargetAtTime(dbToGain(db), audioContext.currentTime, 0.05);
+  }
+}
+
+async function connectNoiseGate(node) {
+  try {
+    await audioContext.audioWorklet.addModule("noise-gate-worklet.js");
+    const gate = new AudioWorkletNode(audioContext, "noise-gate", {
+      parameterData: { threshold: audioSetting("noiseGateDb", processing.noiseGateDb) },
+    });
+    node.connect(gate);
+    return gate;
+  } catch {
+    // Record ungated rather than not at all.
+    return node;
+  }
+}
+
+function connectDynamics(input) {
+  const compressor = audioContext.createDynamicsCompressor();
+  compressor.threshold.value = -24;
+  compressor.knee.value = 12;
+  compressor.ratio.value = 4;
+  compressor.attack.value = 0.005;
+  compressor.release.value = 0.25;
+  const limiter = audioContext.createDynamicsCompressor();
+  limiter.threshold.value = -1;
+  limiter.knee.value = 0;
+  limiter.ratio.value = 20;
+  limiter.attack.value = 0.001;
+  limiter.release.value = 0.1;
+  input.connect(compressor);
+  compressor.connect(limiter);
+  return limiter;
+}
+
+function dbToGain(db) {
+  return 10 ** ((Number(db) || 0) / 20);
+}
+
+function addMeter(source, node) {
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = 2048;
+  node.connect(analyser);
+  meters[source] = { analyser, samples: new Float32Array(analyser.fftSize), silentSince: null };
+}
+
+/**
+ * Stream mic and system levels to the background, which relays them to the
+ * popup and the on-page panel. `silentMs` counts recorded time only: a pause
+ * restarts it, since nothing is captured then anyway.
+ */
+function reportLevels() {
+  const now = Date.now();
+  const levels = { mic: null, system: null };
+  for (const source of ["mic", "system"]) {
+    const meter = meters[source];
+    if (!meter) continue;
+    const db = meterDb(meter);
+    if (recordingPaused || db > SILENCE_DB) meter.silentSince = null;
+    else meter.silentSince ??= now;
+    const silentMs = meter.silentSince === null ? 0 : now - meter.silentSince;
+    levels[source] = {
+      db: Math.round(db),
+      level: Math.min(1, Math.max(0, (db - METER_FLOOR_DB) / -METER_FLOOR_DB)),
+      silentMs,
+      silent: silenceWarningMs > 0 && silentMs >= silenceWarningMs,
+    };
+  }
+  chrome.runtime.sendMessage({ type: "AUDIO_LEVELS", sessionId, levels }).catch(() => {});
+  if (silence.action === "pause") watchSilence(now);
+}
+
+function meterDb(meter) {
+  meter.analyser.getFloatTimeDomainData(meter.samples);
+  return rmsDb([meter.samples]);
+}
+
+/**
+ * Auto-pause: ask the background to pause once the mix has been quieter than
+ * `silence.levelDb` for `silence.minSec`, and to resume as soon as it is not.
+ * The audio graph keeps running while the recorder is paused, so the mix
+ * meter still hears the call come back.
+ */
+function watchSilence(now) {
+  const meter = meters.mix;
+  if (!meter) return;
+  if (meterDb(meter) > silence.levelDb) {
+    meter.silentSince = null;
+    if (autoPaused && recordingPaused) {
+      chrome.runtime.sendMessage({ type: "SILENCE_CHANGED", sessionId, silent: false }).catch(() => {});
+    }
+    autoPaused = false;
+    return;
+  }
+  meter.silentSince ??= now;
+  if (autoPaused || recordingPaused || now - meter.silentSince < silence.minSec * 1000) return;
+  autoPaused = true;
+  chrome.runtime.sendMessage({ type: "SILENCE_CHANGED", sessionId, silent: true }).catch(() => {});
+}
+
+function connectMono(source, merger, channel) {
+  const downmix = audioContext.createGain();
+  downmix.channelCount = 1;
+  downmix.channelCountMode = "explicit";
+  downmix.channelInterpretation = "speakers";
+  source.connect(downmix);
+  downmix.connect(merger, 0, channel);
+}
+
+async function finalizeTracks(session) {
+  const tracks = [];
+  for (const track of session?.tracks || []) {
+    const blob = await readTrackBlob(session.id, track, session.mimeType);
+    if (!blob.size) continue;
+    tracks.push({ track, ...downloadable(blob, "webm", { codec: "opus", container: "webm", mimeType: blob.type }) });
+  }
+  return tracks;
+}
+
+// MP3 and WAV are encoded while recording from PCM tapped off the mix, so
+// finalize only has to flush the encoder. The webm chunks are still written
+// for recovery.
+async function startEncoder(format, options) {
+  try {
+    const channels = options.channels === 1 ? 1 : 2;
+    const sampleRate = audioContext.sampleRate;
+    encoder =
+      format === "mp3"
+        ? createMp3Encoder({ sampleRate, channels, bitrate: options.bitrate })
+        : createWavWriter({ sampleRate, channels, bitDepth: options.bitDepth });
+    // Normalizing needs the whole recording's loudness, so encoding waits for stop.
+    if (processing.normalize) {
+      const targetDb = audioSetting("normalizeTargetDb", processing.normalizeTargetDb);
+      encoder = createLoudnessNormalizer(encoder, { targetDb });
+    }
+    trimmer =
+      silence.action === "trim"
+        ? createSilenceTrimmer({
+            sampleRate,
+            minSilenceSec: silence.minSec,
+            levelDb: silence.levelDb,
+            encode: (block) => encoder.encode(block),
+          })
+        : null;
+    await audioContext.audioWorklet.addModule("pcm-tap-worklet.js");
+    pcmTap = new AudioWorkletNode(audioContext, "pcm-tap", {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      channelCount: channels,
+      channelCountMode: "explicit",
+      channelInterpretation: "speakers",
+      processorOptions: { channels },
+    });
+    pcmTap.port.onmessage = (event) => {
+      if (event.data?.type === "pcm" && !recordingPaused) encodePcm(event.data.channels);
+    };
+    mixOut.connect(pcmTap);
+  } catch (error) {
+    // Finalize falls back to the webm recording and reports that format and why.
+    encoderError = `the ${format} encoder did not start: ${(error?.message || String(error)).replace(/\.$/, "")}`;
+    encoder = null;
+    trimmer = null;
+    pcmTap = null;
+  }
+}
+
+function encodePcm(channels) {
+  if (trimmer) trimmer.push(channels);
+  else encoder?.encode(channels);
+}
+
+async function stopEncoder() {
+  if (!encoder) return null;
+  const active = encoder;
+  const tap = pcmTap;
+  pcmTap = null;
+  if (tap) {
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, 2000);
+      tap.port.onmessage = (event) => {
+        if (event.data?.type === "pcm" && !recordingPaused) encodePcm(event.data.channels);
+        if (event.data?.type === "done") {
+          clearTimeout(timer);
+          resolve();
+        }
+      };
+      tap.port.postMessage({ type: "stop" });
+    });
+    tap.disconnect();
+  }
+  const trimmedRanges = trimmer?.finish() || [];
+  encoder = null;
+  trimmer = null;
+  // The normalizer reports the gain it applied in `encoding`, so read it after finish().
+  const blob = await active.finish();
+  return { blob, format: active.format, encoding: active.encoding, trimmedRanges };
+}
+
+function persistChunk(track, blob) {
+  const id = sessionId;
+  const seq = chunkSeqs[track] || 0;
+  chunkSeqs[track] = seq + 1;
+  // Writes are chained so chunks land in order and stop can wait for the last one.
+  pendingWrites = pendingWrites
+    .then(() => appendChunk(id, track, seq, blob))
+    .then(() => ({ persisted: true }))
+    .catch((error) => ({ persisted: false, error: error?.message || String(error) }))
+    .then((result) =>
+      chrome.runtime
+        .sendMessage({ type: "RECORDING_CHUNK_READY", sessionId: id, track, seq, size: blob.size, ...result })
+        .catch(() => {
+          // Background may be restarting; the chunk is already on disk.
+        })
+    );
+}
+
+async function recoverSession(id) {
+  const session = await getSession(id);
+  if (!session) throw new Error("Recovered session not found.");
+  const blob = await readTrackBlob(id, "main", session.mimeType);
+  if (!blob.size) throw new Error("Recovered session has no audio.");
+  // The encoder ran in the crashed document; only the webm chunks survive.
+  const finalized = await finalize(blob, session.format || "webm", null, "recovered from the webm backup");
+  const sources = await transcriptionSources(session, blob);
+  const response = await chrome.runtime.sendMessage({
+    type: "RECORDING_FINALIZED",
+    sessionId: id,
+    session,
+    partial: true,
+    trackLayout: session.trackLayout || "mixed",
+    tracks: await finalizeTracks(session),
+    ...finalized,
+  });
+  queueTranscription(response?.result, sources);
+}
+
+// Audio to transcribe for each source setting. The webm mix exists for every
+// format; "system" (remote participants only) is the separate system track,
+// or the right channel of a stereo recording.
+async function transcriptionSources(session, mainBlob) {
+  const mix = { blob: mainBlob, channel: "mix" };
+  let system = mix;
+  const systemTrack = session?.tracks?.includes("system")
+    ? await readTrackBlob(session.id, "system", session.mimeType)
+    : null;
+  if (systemTrack?.size) {
+    system = { blob: systemTrack, channel: "mix" };
+  } else if (session?.trackLayout === "stereo") {
+    system = { blob: mainBlob, channel: "right" };
+  }
+  return { mix, system };
+}
+
+function queueTranscription(recording, sources) {
+  if (!recording?.transcription) return;
+  const { id: recordingId, transcription } = recording;
+  const { blob, channel } = sources[transcription.source] || sources.mix;
+  transcriptionQueue = transcriptionQueue.then(() => transcribeRecording(recordingId, blob, channel, transcription));
+}
+
+async function transcribeRecording(recordingId, blob, channel, { language }) {
+  let lastReport = 0;
+  transcribingId = recordingId;
+  try {
+    const result = await transcribeBlob(blob, {
+      language,
+      channel,
+      onProgress: (progress) => {
+        // Whisper reports often; the popup only needs a couple of updates a second.
+        if (Date.now() - lastReport < 500) return;
+        lastReport = Date.now();
+        chrome.runtime.sendMessage({ type: "TRANSCRIPTION_PROGRESS", recordingId, progress }).catch(() => {});
+      },
+    });
+    await chrome.runtime.sendMessage({ type: "TRANSCRIPTION_DONE", recordingId, ...result });
+  } catch (error) {
+    await chrome.runtime
+      .sendMessage({ type: "TRANSCRIPTION_FAILED", recordingId, error: error?.message || String(error) })
+      .catch(() => {});
+  } finally {
+    transcribingId = null;
+  }
+}
+
+// Answers the background after a service worker restart, see reconcileWithRecorder().
+function recorderStatus() {
+  return {
+    recording: Boolean(mediaRecorder) && mediaRecorder.state !== "inactive",
+    paused: mediaRecorder?.state === "paused",
+    sessionId,
+    finalizing,
+    transcribingId,
+  };
 }
 
 async function stopCapture() {
@@ -139,71 +635,41 @@ async function stopCapture() {
     await cleanup();
     return;
   }
+  trackRecorders.forEach(({ recorder }) => {
+    if (recorder.state !== "inactive") recorder.stop();
+  });
   mediaRecorder.stop();
 }
 
-async function finalize(blob, format) {
-  if (format === "wav") {
-    try {
-      const wavBlob = await convertWebmToWav(blob);
-      return { format: "wav", blobDataUrl: await blobToDataUrl(wavBlob) };
-    } catch {
-      return { format: "webm", blobDataUrl: await blobToDataUrl(blob) };
-    }
-  }
-  if (format === "mp3") {
-    // Browser-native MP3 encoding is unavailable in this MVP.
-    return { format: "webm", blobDataUrl: await blobToDataUrl(blob) };
-  }
-  return { format: "webm", blobDataUrl: await blobToDataUrl(blob) };
-}
-
-async function convertWebmToWav(webmBlob) {
-  const context = new AudioContext();
-  const buffer = await context.decodeAudioData(await webmBlob.arrayBuffer());
-  await context.close();
-  return audioBufferToWavBlob(buffer);
-}
-
-function audioBufferToWavBlob(buffer) {
-  const numberOfChannels = Math.min(2, buffer.numberOfChannels);
-  const sampleRate = buffer.sampleRate;
-  const samples = buffer.length;
-  const bytesPerSample = 2;
-  const blockAlign = numberOfChannels * bytesPerSample;
-  const dataSize = samples * blockAlign;
-  const wavBuffer = new ArrayBuffer(44 + dataSize);
-  const view = new DataView(wavBuffer);
-
-  writeString(view, 0, "RIFF");
-  view.setUint32(4, 36 + dataSize, true);
-  writeString(view, 8, "WAVE");
-  writeString(view, 12, "fmt ");
-  view.setUint32(16, 16, true);
-  view.setUint16(20, 1, true);
-  view.setUint16(22, numberOfChannels, true);
-  view.setUint32(24, sampleRate, true);
-  view.setUint32(28, sampleRate * blockAlign, true);
-  view.setUint16(32, blockAlign, true);
-  view.setUint16(34, 16, true);
-  writeString(view, 36, "data");
-  view.setUint32(40, dataSize, true);
-
-  let offset = 44;
-  for (let i = 0; i < samples; i++) {
-    for (let ch = 0; ch < numberOfChannels; ch++) {
-      const channel = buffer.getChannelData(ch);
-      const clamped = Math.max(-1, Math.min(1, channel[i]));
-      view.setInt16(offset, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
-      offset += 2;
-    }
+async function finalize(blob, format, encoded = null, fallbackReason = "") {
+  if (encoded?.format === format && encoded.blob.size > 0) {
+    return { ...downloadable(encoded.blob, encoded.format, encoded.encoding), trimmedRanges: encoded.trimmedRanges };
   }
+  const codec = /codecs=([^;]+)/.exec(blob.type)?.[1] || "opus";
+  return {
+    ...downloadable(blob, "webm", { codec, container: "webm", mimeType: blob.type }),
+    trimmedRanges: [],
+    // Shown with the recording, so a webm file in place of an MP3 is not a surprise.
+    formatFallback: format === "webm" ? null : fallbackReason || `the ${format} encoder produced no audio`,
+  };
+}
+
+function downloadable(blob, format, encoding) {
+  return { format, encoding, blobUrl: createDownloadUrl(blob), size: blob.size };
+}
 
-  return new Blob([wavBuffer], { type: "audio/wav" });
+// The downloads manager reads straight from the (disk-backed) Blob through an
+// object URL, so the recording is never base64-encoded or copied into a message.
+function createDownloadUrl(blob) {
+  const url = URL.createObjectURL(blob);
+  downloadUrls.add(url);
+  return url;
 }
 
-function writeString(view, offset, str) {
-  for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+function releaseDownloadUrl(url) {
+  if (!url || !downloadUrls.has(url)) return;
+  URL.revokeObjectURL(url);
+  downloadUrls.delete(url);
 }
 
 function playBeep(context) {
@@ -218,16 +684,10 @@ function playBeep(context) {
   oscillator.stop(context.currentTime + 0.15);
 }
 
-function blobToDataUrl(blob) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = reject;
-    reader.readAsDataURL(blob);
-  });
-}
-
 async function cleanup() {
+  clearInterval(meterTimer);
+  meterTimer = null;
+  meters = {};
   // Stop speaker playback element first so the track can be released cleanly.
   const speakerEl = document.getElementById("speaker-output");
   if (speakerEl) {
@@ -249,6 +709,19 @@ async function cleanup() {
   mixedStream = null;
   audioContext = null;
   audioDestination = null;
+  mixBus = null;
+  mixOut = null;
+  sourceGains = {};
+  processing = {};
+  pcmTap = null;
+  encoder = null;
+  trimmer = null;
+  recordingPaused = false;
+  silence = { action: "off" };
+  autoPaused = false;
   mediaRecorder = null;
-  chunks = [];
+  trackRecorders = [];
+  trackLayout = "mixed";
+  sessionId = null;
+  chunkSeqs = {};
 }
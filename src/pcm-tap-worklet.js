@@ -0,0 +1,61 @@
+/**
+ * AudioWorklet processor that taps raw PCM off the recording graph.
+ *
+ * Render quanta (128 frames) are batched into larger blocks before they are
+ * posted to the offscreen document, which feeds them to a streaming encoder.
+ * The node has no outputs so Chrome pulls it without a route to the speakers.
+ */
+
+const BLOCK_FRAMES = 8192;
+
+class PcmTapProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.channels = options.processorOptions?.channels || 2;
+    this.allocate();
+    this.stopped = false;
+    this.port.onmessage = (event) => {
+      if (event.data?.type !== "stop") return;
+      this.flush();
+      this.stopped = true;
+      this.port.postMessage({ type: "done" });
+    };
+  }
+
+  allocate() {
+    this.buffers = Array.from({ length: this.channels }, () => new Float32Array(BLOCK_FRAMES));
+    this.offset = 0;
+  }
+
+  flush() {
+    if (!this.offset) return;
+    const channels = this.buffers.map((buffer) => buffer.slice(0, this.offset));
+    this.port.postMessage(
+      { type: "pcm", channels },
+      channels.map((channel) => channel.buffer)
+    );
+    this.allocate();
+  }
+
+  process(inputs) {
+    if (this.stopped) return false;
+    const input = inputs[0];
+    if (!input || !input.length) return true;
+
+    const frames = input[0].length;
+    let read = 0;
+    while (read < frames) {
+      const count = Math.min(frames - read, BLOCK_FRAMES - this.offset);
+      for (let ch = 0; ch < this.channels; ch++) {
+        const source = input[ch] || input[0];
+        this.buffers[ch].set(source.subarray(read, read + count), this.offset);
+      }
+      this.offset += count;
+      read += count;
+      if (this.offset === BLOCK_FRAMES) this.flush();
+    }
+    return true;
+  }
+}
+
+registerProcessor("pcm-tap", PcmTapProcessor);
@@ -1,31 +1,124 @@
+import { audioSetting } from "../audio-settings.js";
+import { countdownSeconds } from "../auto-start-rules.js";
+import { endpointPermission } from "../endpoint-access.js";
+import { DEFAULT_FILENAME_TEMPLATE, FILENAME_TOKENS, renderFilename, validateTemplate } from "../filename-template.js";
+import { formatClock, recordedOffsetMs } from "../recording-time.js";
+import { SELECTOR_PROFILES } from "../teams-detector.js";
+import { TEAMS_HOSTS } from "../teams-hosts.js";
+import { escapeHtml, formatBytes } from "../text-format.js";
+import { parseWebhookUrls, WEBHOOK_EVENTS, webhookOrigins, webhookQueueStatus } from "../webhooks.js";
+
 const refs = {
   statusRow: document.getElementById("statusRow"),
+  levelsRow: document.getElementById("levelsRow"),
+  elapsed: document.getElementById("elapsed"),
+  micMeter: document.getElementById("micMeter"),
+  micLevel: document.getElementById("micLevel"),
+  systemMeter: document.getElementById("systemMeter"),
+  systemLevel: document.getElementById("systemLevel"),
+  silenceRow: document.getElementById("silenceRow"),
   errorRow: document.getElementById("errorRow"),
+  transcriptionRow: document.getElementById("transcriptionRow"),
+  callPicker: document.getElementById("callPicker"),
+  callTab: document.getElementById("callTab"),
   consent: document.getElementById("consent"),
   sourceMode: document.getElementById("sourceMode"),
+  trackLayout: document.getElementById("trackLayout"),
+  videoOptions: document.getElementById("videoOptions"),
+  videoResolution: document.getElementById("videoResolution"),
+  videoFrameRate: document.getElementById("videoFrameRate"),
   format: document.getElementById("format"),
+  mp3Options: document.getElementById("mp3Options"),
+  mp3Bitrate: document.getElementById("mp3Bitrate"),
+  wavOptions: document.getElementById("wavOptions"),
+  wavSampleRate: document.getElementById("wavSampleRate"),
+  wavBitDepth: document.getElementById("wavBitDepth"),
+  channelsOption: document.getElementById("channelsOption"),
+  channels: document.getElementById("channels"),
   folder: document.getElementById("folder"),
+  filenameTemplate: document.getElementById("filenameTemplate"),
+  filenamePreview: document.getElementById("filenamePreview"),
+  filenameTokens: document.getElementById("filenameTokens"),
   beepOnStart: document.getElementById("beepOnStart"),
+  silenceWarningSec: document.getElementById("silenceWarningSec"),
+  silenceAction: document.getElementById("silenceAction"),
+  silenceOptions: document.getElementById("silenceOptions"),
+  silenceMinSec: document.getElementById("silenceMinSec"),
+  silenceLevelDb: document.getElementById("silenceLevelDb"),
+  micGainDb: document.getElementById("micGainDb"),
+  micGainValue: document.getElementById("micGainValue"),
+  systemGainDb: document.getElementById("systemGainDb"),
+  systemGainValue: document.getElementById("systemGainValue"),
+  compressor: document.getElementById("compressor"),
+  noiseGate: document.getElementById("noiseGate"),
+  noiseGateDb: document.getElementById("noiseGateDb"),
+  normalize: document.getElementById("normalize"),
+  normalizeTargetDb: document.getElementById("normalizeTargetDb"),
   onScreenBadge: document.getElementById("onScreenBadge"),
+  autoStartOnCall: document.getElementById("autoStartOnCall"),
+  autoStartSkipOneOnOne: document.getElementById("autoStartSkipOneOnOne"),
+  autoStartTitlePatterns: document.getElementById("autoStartTitlePatterns"),
+  autoStartCountdownSec: document.getElementById("autoStartCountdownSec"),
+  offlineTranscription: document.getElementById("offlineTranscription"),
+  offlineTranscriptionSource: document.getElementById("offlineTranscriptionSource"),
+  offlineTranscriptionLanguage: document.getElementById("offlineTranscriptionLanguage"),
   startBtn: document.getElementById("startBtn"),
   pauseBtn: document.getElementById("pauseBtn"),
   resumeBtn: document.getElementById("resumeBtn"),
   stopBtn: document.getElementById("stopBtn"),
   notes: document.getElementById("notes"),
+  summaryEnabled: document.getElementById("summaryEnabled"),
+  summaryEndpoint: document.getElementById("summaryEndpoint"),
+  summaryModel: document.getElementById("summaryModel"),
+  summaryApiKey: document.getElementById("summaryApiKey"),
+  summaryAccess: document.getElementById("summaryAccess"),
+  webhookEnabled: document.getElementById("webhookEnabled"),
+  webhookUrls: document.getElementById("webhookUrls"),
+  webhookSecret: document.getElementById("webhookSecret"),
+  webhookEvents: document.getElementById("webhookEvents"),
+  webhookStatus: document.getElementById("webhookStatus"),
+  retentionDays: document.getElementById("retentionDays"),
+  retentionMaxCount: document.getElementById("retentionMaxCount"),
+  retentionMaxGb: document.getElementById("retentionMaxGb"),
   recordings: document.getElementById("recordings"),
+  usageSummary: document.getElementById("usageSummary"),
+  libraryBtn: document.getElementById("libraryBtn"),
+  recoveryCard: document.getElementById("recoveryCard"),
+  recoverable: document.getElementById("recoverable"),
+  teamsHosts: document.getElementById("teamsHosts"),
+  diagnostics: document.getElementById("diagnostics"),
+  diagnosticsBody: document.getElementById("diagnosticsBody"),
+  diagnosticsRefresh: document.getElementById("diagnosticsRefresh"),
 };
 
+// Recording being transcribed at the last refresh, to reload the list when it finishes.
+let transcribingId = null;
+// Calls listed in the tab picker, so it is only rebuilt when they change.
+let pickerKey = "";
+// Runtime state from the last refresh; the elapsed timer ticks from it in between.
+let runtimeState = {};
+
 init();
 
 async function init() {
   wireEvents();
   await hydrateSettings();
+  await renderTeamsHosts();
+  // Opening the popup counts as invoking the extension on this tab, which
+  // tab capture needs before auto-start can record it.
+  await chrome.runtime.sendMessage({ type: "POPUP_OPENED" });
   await refreshState();
   await refreshRecordings();
+  await refreshRecoverable();
   setInterval(refreshState, 1200);
+  setInterval(renderElapsed, 500);
 }
 
 function wireEvents() {
+  // Meter readings are pushed by the background a few times a second while recording.
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type === "LEVELS_CHANGED") renderLevels(message.levels);
+  });
   refs.startBtn.addEventListener("click", async () => {
     await sendAction({ type: "START_RECORDING", notes: refs.notes.value.trim() });
     await refreshState();
@@ -44,15 +137,93 @@ function wireEvents() {
     setTimeout(refreshRecordings, 900);
   });
 
+  refs.libraryBtn.addEventListener("click", () => chrome.runtime.openOptionsPage());
+  refs.callTab.addEventListener("change", async () => {
+    await sendAction({ type: "SELECT_CALL_TAB", tabId: refs.callTab.value ? Number(refs.callTab.value) : null });
+    await refreshState();
+  });
+  refs.diagnostics.addEventListener("toggle", () => {
+    if (refs.diagnostics.open) refreshDiagnostics();
+  });
+  refs.diagnosticsRefresh.addEventListener("click", refreshDiagnostics);
+
   refs.consent.addEventListener("change", async () => {
     await persistSettings();
     await refreshState();
   });
-  refs.sourceMode.addEventListener("change", persistSettings);
-  refs.format.addEventListener("change", persistSettings);
+  refs.sourceMode.addEventListener("change", async () => {
+    syncSourceOptions();
+    await persistSettings();
+  });
+  refs.trackLayout.addEventListener("change", persistSettings);
+  refs.videoResolution.addEventListener("change", persistSettings);
+  refs.videoFrameRate.addEventListener("change", persistSettings);
+  refs.format.addEventListener("change", async () => {
+    syncFormatOptions();
+    await persistSettings();
+  });
+  refs.mp3Bitrate.addEventListener("change", persistSettings);
+  refs.wavSampleRate.addEventListener("change", persistSettings);
+  refs.wavBitDepth.addEventListener("change", persistSettings);
+  refs.channels.addEventListener("change", persistSettings);
   refs.folder.addEventListener("change", persistSettings);
+  refs.folder.addEventListener("input", renderFilenamePreview);
+  refs.filenameTemplate.addEventListener("input", renderFilenamePreview);
+  refs.filenameTemplate.addEventListener("change", persistSettings);
   refs.beepOnStart.addEventListener("change", persistSettings);
+  refs.silenceWarningSec.addEventListener("change", persistSettings);
+  refs.silenceAction.addEventListener("change", async () => {
+    refs.silenceOptions.hidden = refs.silenceAction.value === "off";
+    await persistSettings();
+  });
+  refs.silenceMinSec.addEventListener("change", persistSettings);
+  refs.silenceLevelDb.addEventListener("change", persistSettings);
+  refs.micGainDb.addEventListener("input", syncGainLabels);
+  refs.micGainDb.addEventListener("change", persistSettings);
+  refs.systemGainDb.addEventListener("input", syncGainLabels);
+  refs.systemGainDb.addEventListener("change", persistSettings);
+  refs.compressor.addEventListener("change", persistSettings);
+  refs.noiseGate.addEventListener("change", persistSettings);
+  refs.noiseGateDb.addEventListener("change", persistSettings);
+  refs.normalize.addEventListener("change", persistSettings);
+  refs.normalizeTargetDb.addEventListener("change", persistSettings);
   refs.onScreenBadge.addEventListener("change", persistSettings);
+  refs.autoStartOnCall.addEventListener("change", persistSettings);
+  refs.autoStartSkipOneOnOne.addEventListener("change", persistSettings);
+  refs.autoStartTitlePatterns.addEventListener("change", persistSettings);
+  refs.autoStartCountdownSec.addEventListener("change", persistSettings);
+  refs.offlineTranscription.addEventListener("change", persistSettings);
+  refs.offlineTranscriptionSource.addEventListener("change", persistSettings);
+  refs.offlineTranscriptionLanguage.addEventListener("change", persistSettings);
+  // Access is asked for before anything is awaited, while the event still
+  // counts as a user gesture; permissions.request() is refused without one.
+  refs.summaryEnabled.addEventListener("change", async () => {
+    const access = refs.summaryEnabled.checked ? requestEndpointAccess() : null;
+    await persistSettings();
+    await access;
+  });
+  refs.summaryEndpoint.addEventListener("change", async () => {
+    const access = refs.summaryEnabled.checked ? requestEndpointAccess() : null;
+    await persistSettings();
+    await access;
+  });
+  refs.summaryModel.addEventListener("change", persistSettings);
+  refs.summaryApiKey.addEventListener("change", persistSettings);
+  refs.webhookEnabled.addEventListener("change", async () => {
+    const access = refs.webhookEnabled.checked ? requestWebhookAccess() : null;
+    await persistSettings();
+    if (access) await access;
+    else await renderWebhookStatus();
+  });
+  refs.webhookUrls.addEventListener("change", async () => {
+    const access = refs.webhookEnabled.checked ? requestWebhookAccess() : null;
+    await persistSettings();
+    await access;
+  });
+  refs.webhookSecret.addEventListener("change", persistSettings);
+  refs.retentionDays.addEventListener("change", persistSettings);
+  refs.retentionMaxCount.addEventListener("change", persistSettings);
+  refs.retentionMaxGb.addEventListener("change", persistSettings);
   refs.notes.addEventListener("change", () => chrome.storage.local.set({ notes: refs.notes.value.trim() }));
 }
 
@@ -60,18 +231,100 @@ async function hydrateSettings() {
   const settings = await chrome.storage.local.get([
     "consentAccepted",
     "sourceMode",
+    "trackLayout",
+    "videoResolution",
+    "videoFrameRate",
     "format",
+    "mp3Bitrate",
+    "wavSampleRate",
+    "wavBitDepth",
+    "channels",
     "folder",
+    "filenameTemplate",
     "beepOnStart",
+    "silenceWarningSec",
+    "silenceAction",
+    "silenceMinSec",
+    "silenceLevelDb",
+    "micGainDb",
+    "systemGainDb",
+    "compressor",
+    "noiseGate",
+    "noiseGateDb",
+    "normalize",
+    "normalizeTargetDb",
     "onScreenBadge",
+    "autoStartOnCall",
+    "autoStartSkipOneOnOne",
+    "autoStartTitlePatterns",
+    "autoStartCountdownSec",
+    "offlineTranscription",
+    "offlineTranscriptionSource",
+    "offlineTranscriptionLanguage",
+    "summaryEnabled",
+    "summaryEndpoint",
+    "summaryModel",
+    "summaryApiKey",
+    "webhookEnabled",
+    "webhookUrls",
+    "webhookSecret",
+    "retentionDays",
+    "retentionMaxCount",
+    "retentionMaxGb",
     "notes",
   ]);
   refs.consent.checked = Boolean(settings.consentAccepted);
   refs.sourceMode.value = settings.sourceMode || "both";
+  refs.trackLayout.value = settings.trackLayout || "mixed";
+  refs.videoResolution.value = settings.videoResolution || "720p";
+  refs.videoFrameRate.value = String(settings.videoFrameRate || 30);
   refs.format.value = settings.format || "webm";
+  refs.mp3Bitrate.value = String(settings.mp3Bitrate || 128);
+  refs.wavSampleRate.value = String(settings.wavSampleRate || 48000);
+  refs.wavBitDepth.value = String(settings.wavBitDepth || 16);
+  refs.channels.value = settings.channels || "stereo";
+  syncSourceOptions();
   refs.folder.value = settings.folder || "TeamsRecordings";
+  refs.filenameTemplate.value = settings.filenameTemplate || DEFAULT_FILENAME_TEMPLATE;
+  refs.filenameTokens.textContent = `Tokens: ${Object.keys(FILENAME_TOKENS)
+    .map((token) => `{${token}}`)
+    .join(" ")}`;
+  renderFilenamePreview();
   refs.beepOnStart.checked = settings.beepOnStart !== false;
+  refs.silenceWarningSec.value = String(settings.silenceWarningSec ?? 60);
+  refs.silenceAction.value = settings.silenceAction || "off";
+  refs.silenceOptions.hidden = refs.silenceAction.value === "off";
+  refs.silenceMinSec.value = String(settings.silenceMinSec ?? 15);
+  refs.silenceLevelDb.value = String(settings.silenceLevelDb ?? -50);
+  refs.micGainDb.value = String(settings.micGainDb ?? 0);
+  refs.systemGainDb.value = String(settings.systemGainDb ?? 0);
+  syncGainLabels();
+  refs.compressor.checked = Boolean(settings.compressor);
+  refs.noiseGate.checked = Boolean(settings.noiseGate);
+  refs.noiseGateDb.value = String(settings.noiseGateDb ?? -50);
+  refs.normalize.checked = Boolean(settings.normalize);
+  refs.normalizeTargetDb.value = String(settings.normalizeTargetDb ?? -20);
   refs.onScreenBadge.checked = settings.onScreenBadge !== false;
+  refs.autoStartOnCall.checked = Boolean(settings.autoStartOnCall);
+  refs.autoStartSkipOneOnOne.checked = Boolean(settings.autoStartSkipOneOnOne);
+  refs.autoStartTitlePatterns.value = settings.autoStartTitlePatterns || "";
+  refs.autoStartCountdownSec.value = String(settings.autoStartCountdownSec ?? 5);
+  refs.offlineTranscription.checked = Boolean(settings.offlineTranscription);
+  refs.offlineTranscriptionSource.value = settings.offlineTranscriptionSource || "mix";
+  refs.offlineTranscriptionLanguage.value =
+    settings.offlineTranscriptionLanguage === "auto" ? "" : settings.offlineTranscriptionLanguage || "";
+  refs.summaryEnabled.checked = Boolean(settings.summaryEnabled);
+  refs.summaryEndpoint.value = settings.summaryEndpoint ?? "http://localhost:11434/v1";
+  refs.summaryModel.value = settings.summaryModel || "";
+  refs.summaryApiKey.value = settings.summaryApiKey || "";
+  refs.webhookEnabled.checked = Boolean(settings.webhookEnabled);
+  refs.webhookUrls.value = settings.webhookUrls || "";
+  refs.webhookSecret.value = settings.webhookSecret || "";
+  refs.webhookEvents.textContent = `Events: ${WEBHOOK_EVENTS.join(", ")}. Failed deliveries are retried later.`;
+  await renderWebhookStatus();
+  refs.retentionDays.value = String(settings.retentionDays ?? 0);
+  refs.retentionMaxCount.value = String(settings.retentionMaxCount ?? 0);
+  refs.retentionMaxGb.value = String(settings.retentionMaxGb ?? 0);
   refs.notes.value = settings.notes || "";
 }
 
@@ -79,11 +332,130 @@ async function persistSettings() {
   await chrome.storage.local.set({
     consentAccepted: refs.consent.checked,
     sourceMode: refs.sourceMode.value,
+    trackLayout: refs.trackLayout.value,
+    videoResolution: refs.videoResolution.value,
+    videoFrameRate: Number(refs.videoFrameRate.value),
     format: refs.format.value,
+    mp3Bitrate: Number(refs.mp3Bitrate.value),
+    wavSampleRate: Number(refs.wavSampleRate.value),
+    wavBitDepth: Number(refs.wavBitDepth.value),
+    channels: refs.channels.value,
     folder: refs.folder.value.trim() || "TeamsRecordings",
+    filenameTemplate: refs.filenameTemplate.value.trim() || DEFAULT_FILENAME_TEMPLATE,
     beepOnStart: refs.beepOnStart.checked,
+    silenceWarningSec: Math.min(600, Math.max(0, Math.round(Number(refs.silenceWarningSec.value) || 0))),
+    silenceAction: refs.silenceAction.value,
+    silenceMinSec: Math.round(audioSetting("silenceMinSec", refs.silenceMinSec.value)),
+    silenceLevelDb: Math.round(audioSetting("silenceLevelDb", refs.silenceLevelDb.value)),
+    micGainDb: audioSetting("micGainDb", refs.micGainDb.value),
+    systemGainDb: audioSetting("systemGainDb", refs.systemGainDb.value),
+    compressor: refs.compressor.checked,
+    noiseGate: refs.noiseGate.checked,
+    noiseGateDb: Math.round(audioSetting("noiseGateDb", refs.noiseGateDb.value)),
+    normalize: refs.normalize.checked,
+    normalizeTargetDb: Math.round(audioSetting("normalizeTargetDb", refs.normalizeTargetDb.value)),
     onScreenBadge: refs.onScreenBadge.checked,
+    autoStartOnCall: refs.autoStartOnCall.checked,
+    autoStartSkipOneOnOne: refs.autoStartSkipOneOnOne.checked,
+    autoStartTitlePatterns: refs.autoStartTitlePatterns.value.trim(),
+    autoStartCountdownSec: countdownSeconds({ autoStartCountdownSec: refs.autoStartCountdownSec.value }),
+    offlineTranscription: refs.offlineTranscription.checked,
+    offlineTranscriptionSource: refs.offlineTranscriptionSource.value,
+    offlineTranscriptionLanguage: refs.offlineTranscriptionLanguage.value.trim().toLowerCase() || "auto",
+    summaryEnabled: refs.summaryEnabled.checked,
+    summaryEndpoint: refs.summaryEndpoint.value.trim(),
+    summaryModel: refs.summaryModel.value.trim(),
+    summaryApiKey: refs.summaryApiKey.value.trim(),
+    webhookEnabled: refs.webhookEnabled.checked,
+    webhookUrls: parseWebhookUrls(refs.webhookUrls.value).join("\n"),
+    webhookSecret: refs.webhookSecret.value,
+    retentionDays: Math.max(0, Math.round(Number(refs.retentionDays.value) || 0)),
+    retentionMaxCount: Math.max(0, Math.round(Number(refs.retentionMaxCount.value) || 0)),
+    retentionMaxGb: Math.max(0, Number(refs.retentionMaxGb.value) || 0),
+  });
+}
+
+// The background can only reach the summary server once the user grants its
+// origin. Must be called synchronously from an input handler; request()
+// resolves true straight away when the origin is already granted.
+async function requestEndpointAccess() {
+  const endpoint = refs.summaryEndpoint.value.trim();
+  const origin = endpointPermission(endpoint);
+  if (!origin) {
+    refs.summaryAccess.textContent = "Enter the endpoint as an https:// URL, or http:// on localhost.";
+    return;
+  }
+  const granted = await chrome.permissions.request({ origins: [origin] }).catch(() => false);
+  refs.summaryAccess.textContent = granted
+    ? `Transcripts, markers and notes are sent to ${new URL(endpoint).host}.`
+    : "Access to the endpoint was not granted, so summaries will fail.";
+}
+
+// Like requestEndpointAccess(), called synchronously from an input handler.
+async function requestWebhookAccess() {
+  const urls = parseWebhookUrls(refs.webhookUrls.value);
+  if (!urls.length) {
+    refs.webhookStatus.textContent = "Enter at least one https:// URL, or http:// on localhost.";
+    return;
+  }
+  const granted = await chrome.permissions.request({ origins: webhookOrigins(urls) }).catch(() => false);
+  if (granted) await renderWebhookStatus();
+  else refs.webhookStatus.textContent = "Access to the webhook URLs was not granted, so deliveries will fail.";
+}
+
+async function renderWebhookStatus() {
+  const { waiting, lastError } = await webhookQueueStatus();
+  const error = lastError ? ` Last error: ${lastError}` : "";
+  refs.webhookStatus.textContent = waiting ? `${waiting} deliver${waiting === 1 ? "y" : "ies"} waiting.${error}` : "";
+}
+
+function syncGainLabels() {
+  const label = (value) => `${Number(value) > 0 ? "+" : ""}${value} dB`;
+  refs.micGainValue.textContent = label(refs.micGainDb.value);
+  refs.systemGainValue.textContent = label(refs.systemGainDb.value);
+}
+
+// Example name for the current template, filled with the focused call where
+// there is one. An invalid template is saved as typed, but recordings fall
+// back to the default until it is fixed, which the preview says.
+function renderFilenamePreview() {
+  const template = refs.filenameTemplate.value.trim() || DEFAULT_FILENAME_TEMPLATE;
+  const errors = validateTemplate(template);
+  refs.filenamePreview.classList.toggle("invalid", errors.length > 0);
+  if (errors.length) {
+    refs.filenamePreview.textContent = `${errors.join(" ")} The default name is used until this is fixed.`;
+    return;
+  }
+  const format = refs.format.disabled ? "webm" : refs.format.value;
+  const path = renderFilename({
+    template,
+    folder: refs.folder.value.trim(),
+    context: {
+      startedAt: Date.now(),
+      title: runtimeState.callTitle || "Weekly sync",
+      participantCount: runtimeState.participantCount ?? 4,
+      durationSec: 65 * 60,
+    },
   });
+  refs.filenamePreview.textContent = `Downloads/${path}.${format}`;
+}
+
+// Track layouts only apply when both the mic and the call audio are captured.
+// Video recordings are always webm, so the audio format choice is locked.
+function syncSourceOptions() {
+  const withVideo = refs.sourceMode.value === "video";
+  refs.trackLayout.disabled = refs.sourceMode.value !== "both" && !withVideo;
+  refs.videoOptions.hidden = !withVideo;
+  refs.format.disabled = withVideo;
+  syncFormatOptions();
+}
+
+function syncFormatOptions() {
+  const format = refs.format.disabled ? "webm" : refs.format.value;
+  refs.mp3Options.hidden = format !== "mp3";
+  refs.wavOptions.hidden = format !== "wav";
+  refs.channelsOption.hidden = format === "webm";
+  renderFilenamePreview();
 }
 
 async function refreshState() {
@@ -101,17 +473,58 @@ async function refreshState() {
     runtime.recordingState === "recording"
       ? "Recording"
       : runtime.recordingState === "paused"
-      ? "Paused"
+      ? runtime.pauseLog?.[runtime.pauseLog.length - 1]?.auto
+        ? "Paused - silence, resumes when sound returns"
+        : "Paused"
+      : runtime.autoStartAt
+      ? `Call active - auto-recording in ${Math.max(0, Math.ceil((runtime.autoStartAt - Date.now()) / 1000))}s`
       : runtime.callActive
       ? "Call active"
       : "Idle";
   refs.statusRow.className = `status ${cls}`;
   refs.statusRow.textContent = label;
+  runtimeState = runtime;
+  refs.levelsRow.hidden = runtime.recordingState === "idle";
+  renderElapsed();
+  renderLevels(runtime.levels);
 
   refs.startBtn.disabled = runtime.recordingState !== "idle" || !refs.consent.checked;
   refs.pauseBtn.disabled = runtime.recordingState !== "recording";
   refs.resumeBtn.disabled = runtime.recordingState !== "paused";
   refs.stopBtn.disabled = runtime.recordingState === "idle";
+  renderCallPicker(runtime);
+
+  const transcription = runtime.transcription;
+  refs.transcriptionRow.hidden = !transcription;
+  if (transcription) {
+    const percent = Math.round((transcription.progress || 0) * 100);
+    refs.transcriptionRow.textContent = `Transcribing "${transcription.title || "Teams call"}" - ${percent}%`;
+  }
+  const finished = transcribingId && transcribingId !== transcription?.recordingId;
+  transcribingId = transcription?.recordingId || null;
+  if (finished) await refreshRecordings();
+}
+
+// Recorded time, not wall-clock time: pauses are left out, as in the saved file.
+function renderElapsed() {
+  if (!runtimeState.recordingStartedAt || runtimeState.recordingState === "idle") return;
+  refs.elapsed.textContent = formatClock(recordedOffsetMs(runtimeState));
+}
+
+function renderLevels(levels) {
+  const sources = [
+    { level: levels?.mic, meter: refs.micMeter, fill: refs.micLevel, warning: "No sound from the microphone" },
+    { level: levels?.system, meter: refs.systemMeter, fill: refs.systemLevel, warning: "No call audio" },
+  ];
+  const warnings = [];
+  for (const { level, meter, fill, warning } of sources) {
+    meter.hidden = !level;
+    fill.style.width = `${Math.round((level?.level || 0) * 100)}%`;
+    fill.classList.toggle("silent", Boolean(level?.silent));
+    if (level?.silent) warnings.push(`${warning} for ${formatClock(level.silentMs)}.`);
+  }
+  refs.silenceRow.hidden = !warnings.length || runtimeState.recordingState !== "recording";
+  refs.silenceRow.textContent = `${warnings.join(" ")} Check that it is not muted.`;
 }
 
 async function sendAction(message) {
@@ -126,14 +539,73 @@ async function sendAction(message) {
 }
 
 async function refreshRecordings() {
-  const response = await chrome.runtime.sendMessage({ type: "LIST_RECORDINGS" });
-  const list = response?.result || [];
+  await renderUsage();
+  const response = await chrome.runtime.sendMessage({ type: "LIST_RECORDINGS", filter: { limit: 20 } });
+  const list = response?.result?.items || [];
   if (!list.length) {
     refs.recordings.innerHTML = "<small>No recordings yet.</small>";
     return;
   }
   refs.recordings.innerHTML = "";
-  list.slice(0, 20).forEach((rec) => refs.recordings.appendChild(renderRecord(rec)));
+  list.forEach((rec) => refs.recordings.appendChild(renderRecord(rec)));
+  const more = (response.result.total || 0) - list.length;
+  if (more > 0) {
+    const note = document.createElement("small");
+    note.textContent = `${more} older recording${more === 1 ? "" : "s"} in the library.`;
+    refs.recordings.appendChild(note);
+  }
+}
+
+async function renderUsage() {
+  const response = await chrome.runtime.sendMessage({ type: "GET_USAGE" });
+  const usage = response?.result;
+  refs.usageSummary.hidden = !usage?.count;
+  if (!usage?.count) return;
+  const starred = usage.starred ? `, ${usage.starred} starred` : "";
+  const lastRun = usage.lastRun
+    ? ` Last cleanup ${new Date(usage.lastRun.at).toLocaleDateString()} deleted ${usage.lastRun.deleted}.`
+    : "";
+  refs.usageSummary.textContent =
+    `${usage.count} recording${usage.count === 1 ? "" : "s"}, ${formatBytes(usage.totalBytes)}${starred}.${lastRun}`;
+}
+
+async function refreshRecoverable() {
+  const response = await chrome.runtime.sendMessage({ type: "LIST_RECOVERABLE" });
+  const list = response?.result || [];
+  refs.recoveryCard.hidden = list.length === 0;
+  refs.recoverable.innerHTML = "";
+  list.forEach((session) => refs.recoverable.appendChild(renderRecoverable(session)));
+}
+
+function renderRecoverable(session) {
+  const el = document.createElement("div");
+  el.className = "record";
+  const date = new Date(session.startedAt || session.updatedAt).toLocaleString();
+  const seconds = session.chunkCount || 0;
+  const sizeMb = ((session.bytes || 0) / (1024 * 1024)).toFixed(1);
+  el.innerHTML = `
+    <div class="top">${escapeHtml(session.meetingTitle || "Teams call")}</div>
+    <div class="meta">${escapeHtml(date)} | ~${escapeHtml(seconds)}s | ${escapeHtml(sizeMb)} MB</div>
+    <div class="actions">
+      <button data-act="recover">Save partial</button>
+      <button data-act="discard">Discard</button>
+    </div>
+  `;
+  el.querySelectorAll("button").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const act = btn.getAttribute("data-act");
+      if (act === "recover") {
+        btn.disabled = true;
+        await sendAction({ type: "RECOVER_SESSION", id: session.id });
+        await refreshRecordings();
+      }
+      if (act === "discard") {
+        await sendAction({ type: "DISCARD_SESSION", id: session.id });
+      }
+      await refreshRecoverable();
+    });
+  });
+  return el;
 }
 
 function renderRecord(rec) {
@@ -141,21 +613,39 @@ function renderRecord(rec) {
   el.className = "record";
   const date = new Date(rec.createdAt).toLocaleString();
   const hasTranscript = rec.transcript && rec.transcript.trim().length > 0;
+  const offline = rec.offlineTranscript;
   el.innerHTML = `
     <div class="top">${escapeHtml(rec.filename)}</div>
-    <div class="meta">${date} | ${rec.durationSec || 0}s | ${escapeHtml(rec.meetingTitle || "Teams call")}</div>
+    <div class="meta">${escapeHtml(date)} | ${escapeHtml(rec.durationSec || 0)}s | ${escapeHtml(rec.meetingTitle || "Teams call")}${rec.partial ? " | partial" : ""}${formatNote(rec)}</div>
     ${hasTranscript ? `
     <details class="transcript-details">
       <summary>Transcript</summary>
       <div class="transcript-text">${escapeHtml(rec.transcript)}</div>
     </details>` : ""}
+    ${offline?.status === "done" && offline.text ? `
+    <details class="transcript-details">
+      <summary>Offline transcript</summary>
+      <div class="transcript-text">${escapeHtml(offline.text)}</div>
+    </details>` : ""}
+    ${rec.markers?.length ? `
+    <div class="markers">${rec.markers
+      .map(
+        (marker) =>
+          `<button class="marker" data-at="${Math.floor(marker.offsetMs / 1000)}" title="Play from here in the library">${formatClock(marker.offsetMs)}${marker.label ? ` ${escapeHtml(marker.label)}` : ""}</button>`
+      )
+      .join("")}</div>` : ""}
+    ${offline?.status === "failed" ? `<div class="meta">Offline transcription failed: ${escapeHtml(offline.error || "")}</div>` : ""}
     <div class="actions">
       <button data-act="show">Show</button>
       <button data-act="open">Open</button>
+      <button data-act="star" title="Starred recordings are never deleted automatically">${rec.starred ? "Unstar" : "Star"}</button>
       <button data-act="delete">Delete</button>
     </div>
   `;
-  el.querySelectorAll("button").forEach((btn) => {
+  el.querySelectorAll("button.marker").forEach((btn) => {
+    btn.addEventListener("click", () => openInLibrary(rec.id, Number(btn.dataset.at)));
+  });
+  el.querySelectorAll("button[data-act]").forEach((btn) => {
     btn.addEventListener("click", async () => {
       const act = btn.getAttribute("data-act");
       if (act === "show" && rec.downloadId) await chrome.downloads.show(rec.downloadId);
@@ -166,6 +656,10 @@ function renderRecord(rec) {
           await chrome.downloads.show(rec.downloadId);
         }
       }
+      if (act === "star") {
+        await chrome.runtime.sendMessage({ type: "SET_STARRED", id: rec.id, starred: !rec.starred });
+        await refreshRecordings();
+      }
       if (act === "delete") {
         await chrome.runtime.sendMessage({ type: "DELETE_RECORDING", id: rec.id });
         await refreshRecordings();
@@ -175,10 +669,94 @@ function renderRecord(rec) {
   return el;
 }
 
-function escapeHtml(input) {
-  return String(input)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;");
+// Only needed once more than one Teams tab is in a call. "Automatic" follows
+// whichever call the background focuses; recording pins the recorded tab.
+function renderCallPicker(runtime) {
+  const calls = Object.values(runtime.calls || {});
+  refs.callPicker.hidden = calls.length < 2;
+  refs.callTab.disabled = runtime.recordingState !== "idle";
+  const key = JSON.stringify([calls, runtime.selectedTabId, runtime.callTabId]);
+  if (key === pickerKey) return;
+  pickerKey = key;
+  const focused = runtime.calls?.[runtime.callTabId];
+  const options = [
+    `<option value="">Automatic${focused ? ` (${escapeHtml(focused.title || "Teams call")})` : ""}</option>`,
+    ...calls.map(
+      (call) =>
+        `<option value="${call.tabId}">${escapeHtml(call.title || "Teams call")}${
+          call.participantCount ? ` - ${call.participantCount} people` : ""
+        }</option>`
+    ),
+  ];
+  refs.callTab.innerHTML = options.join("");
+  refs.callTab.value = String(runtime.selectedTabId ?? "");
+}
+
+// Optional hosts are host permissions, so toggling one asks Chrome directly;
+// the background registers the content script when the grant lands.
+async function renderTeamsHosts() {
+  refs.teamsHosts.innerHTML = "";
+  for (const host of TEAMS_HOSTS) {
+    const granted = !host.optional || (await chrome.permissions.contains({ origins: [host.match] }));
+    const label = document.createElement("label");
+    label.className = "line";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = granted;
+    checkbox.disabled = !host.optional;
+    label.append(checkbox, ` ${host.label}`);
+    checkbox.addEventListener("change", async () => {
+      const origins = [host.match];
+      try {
+        if (checkbox.checked) await chrome.permissions.request({ origins });
+        else await chrome.permissions.remove({ origins });
+      } finally {
+        await renderTeamsHosts();
+      }
+    });
+    refs.teamsHosts.appendChild(label);
+  }
+}
+
+// Shows which detector signals fired in the Teams tab, to debug missed calls,
+// titles or speakers after a Teams UI change.
+async function refreshDiagnostics() {
+  const response = await chrome.runtime.sendMessage({ type: "GET_DETECTION" });
+  if (!response?.ok) {
+    refs.diagnosticsBody.innerHTML = `<small>${escapeHtml(response?.error || "Detection unavailable.")}</small>`;
+    return;
+  }
+  const result = response.result;
+  const profile = SELECTOR_PROFILES.find((p) => p.id === result.profile);
+  const fired = result.signals.filter((s) => s.matches > 0);
+  const silent = result.signals.filter((s) => !s.matches);
+  const signalRow = (s) =>
+    `<li>${s.matches > 0 ? "&#10003;" : "&#8211;"} <code>${escapeHtml(s.profile)}</code> ${escapeHtml(s.kind)} ` +
+    `<code>${escapeHtml(s.id)}</code>${s.matches > 1 ? ` &times;${s.matches}` : ""}</li>`;
+  refs.diagnosticsBody.innerHTML = `
+    <div class="diagnostics-summary">
+      Profile: ${escapeHtml(profile ? `${profile.label} (v${profile.version})` : "none matched")}<br />
+      Call active: ${result.callActive ? "yes" : "no"} | Participants: ${result.participantCount ?? "?"}<br />
+      Title: ${escapeHtml(result.meetingTitle)}<br />
+      Roster: ${escapeHtml(result.participantNames.join(", ") || "-")}<br />
+      Speaking: ${escapeHtml(result.speakers.join(", ") || "-")}
+    </div>
+    <ul class="signals">${fired.map(signalRow).join("") || "<li>No signals fired.</li>"}</ul>
+    <details>
+      <summary>${silent.length} signals without a match</summary>
+      <ul class="signals">${silent.map(signalRow).join("")}</ul>
+    </details>
+  `;
+}
+
+// The library page owns playback; it reads the recording and position from the hash.
+function openInLibrary(id, atSec) {
+  const url = chrome.runtime.getURL(`src/library/library.html#play=${encodeURIComponent(id)}&t=${atSec}`);
+  chrome.tabs.create({ url });
+}
+
+function formatNote(rec) {
+  if (!rec.requestedFormat || rec.requestedFormat === rec.format) return "";
+  const reason = rec.formatFallback || `${rec.requestedFormat} unavailable`;
+  return ` | saved as .${escapeHtml(rec.format)}, not .${escapeHtml(rec.requestedFormat)} (${escapeHtml(reason)})`;
 }
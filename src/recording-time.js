@@ -0,0 +1,47 @@
+/**
+ * Recording time: where the audio file is at a given wall-clock moment, and
+ * how durations are written for people. Shared by the background worker, the
+ * popup, the library, filename templates and the in-page panel (which loads
+ * it with a dynamic import(), hence its web_accessible_resources entry).
+ */
+
+/**
+ * Offset into the audio file at wall-clock `at`: time since the recording
+ * started minus the time spent paused, the current pause included.
+ *
+ * @param {{ recordingStartedAt: number|null, pausedMs?: number, pausedAt?: number|null }} timing
+ */
+export function recordedOffsetMs({ recordingStartedAt, pausedMs = 0, pausedAt = null }, at = Date.now()) {
+  if (!recordingStartedAt) return 0;
+  const currentPause = pausedAt ? at - pausedAt : 0;
+  return Math.max(0, at - recordingStartedAt - pausedMs - currentPause);
+}
+
+/**
+ * Wall-clock span and audio length of a recording. A pause still open at the
+ * end (stopped while paused, or crashed) runs until `endedAt`.
+ */
+export function recordingDurations(startedAt, endedAt, pauseLog) {
+  const wallMs = Math.max(0, endedAt - (startedAt || endedAt));
+  const pausedMs = (pauseLog || []).reduce(
+    (sum, pause) => sum + Math.max(0, Math.min(pause.resumedAt ?? endedAt, endedAt) - pause.pausedAt),
+    0
+  );
+  return { wallMs, recordedMs: Math.max(0, wallMs - pausedMs) };
+}
+
+/** "4:07", or "1:04:07" from an hour on. */
+export function formatClock(ms) {
+  const sec = Math.max(0, Math.floor((Number(ms) || 0) / 1000));
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  const s = String(sec % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+/** Rounded to minutes for filenames: "45m", "1h05m". */
+export function formatMinutes(totalSec) {
+  const minutes = Math.round((Number(totalSec) || 0) / 60);
+  const h = Math.floor(minutes / 60);
+  return h ? `${h}h${String(minutes % 60).padStart(2, "0")}m` : `${minutes}m`;
+}
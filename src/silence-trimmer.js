@@ -0,0 +1,91 @@
+/**
+ * Silence trimming for the formats encoded from PCM while recording (.wav and
+ * .mp3); the webm MediaRecorder output cannot be cut without re-encoding.
+ *
+ * The trimmer sits between the PCM tap and the encoder. Quiet blocks are held
+ * back: if the quiet stretch ends before `minSilenceSec` they go to the
+ * encoder untouched, otherwise its first second is kept and the rest dropped.
+ * Dropped stretches are reported as `{ start, end }` offsets in ms into the
+ * untrimmed audio, the timeline transcripts and markers are recorded against;
+ * trimmedOffset() moves such offsets onto the trimmed file.
+ */
+
+const KEEP_MS = 1000;
+
+/** RMS level of one or more channels of samples, in dBFS (-100 for digital silence). */
+export function rmsDb(channels) {
+  let sum = 0;
+  let count = 0;
+  for (const samples of channels) {
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    count += samples.length;
+  }
+  const rms = count ? Math.sqrt(sum / count) : 0;
+  return rms > 0 ? Math.max(-100, 20 * Math.log10(rms)) : -100;
+}
+
+export function createSilenceTrimmer({ sampleRate, minSilenceSec, levelDb, encode }) {
+  const minFrames = Math.max(KEEP_MS / 1000, minSilenceSec) * sampleRate;
+  const keepFrames = (KEEP_MS / 1000) * sampleRate;
+  const ranges = [];
+  let frames = 0;
+  let held = [];
+  let heldFrames = 0;
+  let quietFrom = null;
+  let droppingFrom = null;
+
+  const toMs = (frame) => Math.round((frame / sampleRate) * 1000);
+
+  function release() {
+    held.forEach(encode);
+    held = [];
+    heldFrames = 0;
+  }
+
+  return {
+    push(channels) {
+      const start = frames;
+      frames += channels[0].length;
+      if (rmsDb(channels) > levelDb) {
+        if (droppingFrom !== null) ranges.push({ start: toMs(droppingFrom), end: toMs(start) });
+        droppingFrom = null;
+        quietFrom = null;
+        release();
+        encode(channels);
+        return;
+      }
+      if (droppingFrom !== null) return;
+      quietFrom ??= start;
+      held.push(channels);
+      heldFrames += channels[0].length;
+      if (heldFrames < minFrames) return;
+
+      let kept = 0;
+      for (const block of held) {
+        if (kept >= keepFrames) break;
+        encode(block);
+        kept += block[0].length;
+      }
+      droppingFrom = quietFrom + kept;
+      held = [];
+      heldFrames = 0;
+    },
+    /** Flush what is held back; returns the dropped ranges. */
+    finish() {
+      if (droppingFrom !== null) ranges.push({ start: toMs(droppingFrom), end: toMs(frames) });
+      else release();
+      droppingFrom = null;
+      return ranges;
+    },
+  };
+}
+
+/** Position in the trimmed file of `ms` into the untrimmed audio. */
+export function trimmedOffset(ms, ranges) {
+  let removed = 0;
+  for (const range of ranges || []) {
+    if (ms <= range.start) break;
+    removed += Math.min(ms, range.end) - range.start;
+  }
+  return ms - removed;
+}
@@ -0,0 +1,94 @@
+/**
+ * Participant timeline analysis. content.js records who joined, left and
+ * spoke while recording, from Teams' roster and speaking indicators; these
+ * pure functions turn that into per-person stats and speaker labels.
+ *
+ * Offsets are in milliseconds into the audio file, like transcript segments.
+ */
+
+/**
+ * Per-participant join/leave times and talk time, most talkative first.
+ * `share` is the fraction of all detected speech, not of the recording.
+ */
+export function summarizeTimeline(timeline, durationMs) {
+  const people = new Map();
+  const person = (name) => {
+    if (!people.has(name)) {
+      people.set(name, { name, joinedAt: null, leftAt: null, talkMs: 0, turns: 0 });
+    }
+    return people.get(name);
+  };
+
+  for (const event of timeline?.events || []) {
+    const entry = person(event.name);
+    if (event.type === "join") {
+      if (entry.joinedAt === null) entry.joinedAt = event.at;
+      entry.leftAt = null;
+    } else if (event.type === "leave") {
+      entry.leftAt = event.at;
+    }
+  }
+
+  for (const interval of mergeIntervals(timeline?.speaking)) {
+    const entry = person(interval.name);
+    entry.talkMs += interval.end - interval.start;
+    entry.turns += 1;
+  }
+
+  const totalTalkMs = [...people.values()].reduce((sum, entry) => sum + entry.talkMs, 0);
+  return [...people.values()]
+    .map((entry) => ({
+      ...entry,
+      // Still present at the end means present until the recording ended.
+      leftAt: entry.leftAt ?? (Number.isFinite(durationMs) ? durationMs : null),
+      share: totalTalkMs ? Math.round((entry.talkMs / totalTalkMs) * 1000) / 1000 : 0,
+    }))
+    .sort((a, b) => b.talkMs - a.talkMs || a.name.localeCompare(b.name));
+}
+
+/**
+ * Copy of `segments` where each one carries the `speaker` who talked most
+ * during it. Segments with no overlapping speech are left unlabeled.
+ */
+export function labelSegments(segments, speaking) {
+  const intervals = mergeIntervals(speaking);
+  return (segments || []).map((segment) => {
+    const overlap = new Map();
+    for (const interval of intervals) {
+      if (interval.end <= segment.start || interval.start >= segment.end) continue;
+      const ms = Math.min(interval.end, segment.end) - Math.max(interval.start, segment.start);
+      overlap.set(interval.name, (overlap.get(interval.name) || 0) + ms);
+    }
+    let speaker = null;
+    let best = 0;
+    for (const [name, ms] of overlap) {
+      if (ms > best) {
+        speaker = name;
+        best = ms;
+      }
+    }
+    return speaker ? { ...segment, speaker } : { ...segment };
+  });
+}
+
+// Teams flickers its indicator between words; join a person's intervals that
+// are less than a beat apart so one sentence counts as one turn.
+const MERGE_GAP_MS = 700;
+
+function mergeIntervals(speaking) {
+  const byName = new Map();
+  const sorted = [...(speaking || [])]
+    .filter((interval) => interval?.name && interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+  for (const interval of sorted) {
+    const list = byName.get(interval.name) || [];
+    const last = list[list.length - 1];
+    if (last && interval.start - last.end <= MERGE_GAP_MS) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      list.push({ name: interval.name, start: interval.start, end: interval.end });
+    }
+    byName.set(interval.name, list);
+  }
+  return [...byName.values()].flat();
+}
@@ -0,0 +1,310 @@
+/**
+ * Teams DOM detection layer.
+ *
+ * Everything the extension reads from the Teams page (call state, meeting
+ * title, participant count, roster names and speaking indicators) is
+ * described by versioned selector profiles instead of being hardcoded in
+ * content.js. When Teams ships a UI change, add or bump a profile here.
+ *
+ * `detect()` is a pure function of a Document and a URL, so it runs the same
+ * against the live page and against saved HTML parsed with jsdom, which is
+ * how test/teams-detector.test.js checks it against the fixtures.
+ * `createDetector()` wraps it with a MutationObserver for the content
+ * script. content.js loads this file with a dynamic import(), which is why
+ * it is listed in web_accessible_resources.
+ */
+
+/**
+ * "Leave"/"Hang up" and "participants" as they appear in Teams' aria-labels,
+ * per UI language. Matched case-insensitively as substrings.
+ */
+export const LOCALIZED_LABELS = {
+  en: { leave: ["Leave", "Hang up"], participants: ["participants"] },
+  de: { leave: ["Verlassen", "Auflegen"], participants: ["Teilnehmer"] },
+  fr: { leave: ["Quitter", "Raccrocher"], participants: ["participants"] },
+  es: { leave: ["Salir", "Colgar"], participants: ["participantes"] },
+  it: { leave: ["Abbandona", "Riaggancia"], participants: ["partecipanti"] },
+  pt: { leave: ["Sair", "Desligar"], participants: ["participantes"] },
+  nl: { leave: ["Verlaten", "Ophangen"], participants: ["deelnemers"] },
+  pl: { leave: ["Opuść", "Rozłącz"], participants: ["uczestnicy", "uczestników"] },
+  ja: { leave: ["退出", "切断"], participants: ["参加者"] },
+  zh: { leave: ["离开", "挂断"], participants: ["参与者"] },
+};
+
+/** URL fragments that only appear while joining or inside a meeting. */
+export const URL_SIGNALS = [
+  { id: "url-meetup-join", fragment: "/meetup-join/" },
+  { id: "url-meeting", fragment: "/meeting/" },
+  { id: "url-live-meet", fragment: "teams.live.com/meet/" },
+];
+
+function localizedWords(key) {
+  return [...new Set(Object.values(LOCALIZED_LABELS).flatMap((labels) => labels[key]))];
+}
+
+function ariaSignals(key) {
+  return localizedWords(key).map((word) => ({
+    id: `aria-${key}:${word}`,
+    selector: `[aria-label*="${escapeAttr(word)}" i]`,
+  }));
+}
+
+/**
+ * The call's own hang-up button: labelled just "Leave" (or "Leave (Ctrl+Shift+H)"
+ * with the shortcut), never "Leave chat", "Leave team" or "Chat verlassen",
+ * which sit on ordinary pages too.
+ */
+function leaveButtonSignals() {
+  return localizedWords("leave").map((word) => ({
+    id: `aria-leave:${word}`,
+    selector: `button[aria-label="${escapeAttr(word)}" i], button[aria-label^="${escapeAttr(word)} (" i]`,
+  }));
+}
+
+function escapeAttr(word) {
+  return word.replace(/"/g, '\\"');
+}
+
+/**
+ * Selector profiles, most specific first. Each signal has a stable `id` so
+ * diagnostics (and bug reports) can name exactly what fired.
+ *
+ * - `callActive`: any match means a call is in progress.
+ * - `title` / `participantCount`: first non-empty match wins.
+ * - `participants`: `container` is one participant's tile or roster row,
+ *   `name` the element inside it holding the display name.
+ * - `speaking`: elements Teams marks while someone talks; the speaker is
+ *   resolved through the nearest `participants` container.
+ */
+export const SELECTOR_PROFILES = [
+  {
+    id: "new-teams",
+    version: 2,
+    label: "New Teams (2023+)",
+    callActive: [
+      { id: "call-end", selector: "[data-tid='call-end']" },
+      { id: "hangup-main-btn", selector: "[data-tid='hangup-main-btn']" },
+      { id: "toggle-video", selector: "[data-tid='toggle-video']" },
+      { id: "toggle-mute", selector: "[data-tid='toggle-mute']" },
+    ],
+    title: ["[data-tid='meeting-title']", "[data-tid='call-title']"],
+    participantCount: ["[data-tid='call-participants-count']", "[data-tid='roster-button'] [data-tid='badge']"],
+    participants: [
+      { container: "[data-cid='calling-participant-stream']", name: "[data-tid='participant-display-name']" },
+      { container: "[data-tid^='participantsInCall-']", name: "[data-tid='roster-participant-name']" },
+    ],
+    speaking: [
+      "[data-cid='calling-participant-stream'][data-is-speaking='true']",
+      "[data-tid='voice-level-stream-outline'].vdi-frame-occlusion",
+      "[data-tid^='participantsInCall-'] [data-is-speaking='true']",
+    ],
+  },
+  {
+    id: "classic-teams",
+    version: 1,
+    label: "Classic Teams",
+    callActive: [
+      { id: "hangup-button", selector: "button#hangup-button" },
+      { id: "calling-screen", selector: "calling-screen, .ts-calling-screen" },
+      { id: "calling-unified-bar", selector: "[data-tid='calling-unified-bar']" },
+    ],
+    title: [".ts-calling-thread-header h2", "h1"],
+    participantCount: ["[data-tid='roster-participants-count']"],
+    participants: [
+      { container: "[data-tid='roster-participant']", name: "span[title]" },
+      { container: ".participant-item", name: ".participant-name" },
+    ],
+    speaking: ["[data-tid='roster-participant'] .speaking", ".participant-item.speaking"],
+  },
+  {
+    id: "aria-localized",
+    version: 1,
+    label: "Localized aria-labels",
+    callActive: leaveButtonSignals(),
+    title: [],
+    participantCount: ariaSignals("participants").map((signal) => signal.selector),
+    participants: [],
+    speaking: [],
+  },
+];
+
+const NAME_NOISE =
+  /\((guest|gast|invité|invitado|ospite|convidado|organizer|organiser|presenter|external|unverified)\)/gi;
+
+/**
+ * Read everything the extension needs from `doc` in one pass.
+ *
+ * Returns `{ callActive, meetingTitle, participantCount, participantNames,
+ * speakers, profile, signals }` where `signals` lists every signal checked
+ * as `{ profile, id, kind, matches }` and `profile` is the id of the profile
+ * with the most hits (or null).
+ */
+export function detect(doc, { url = doc.location?.href || "", profiles = SELECTOR_PROFILES } = {}) {
+  const signals = [];
+  const lowerUrl = url.toLowerCase();
+  for (const signal of URL_SIGNALS) {
+    const matches = lowerUrl.includes(signal.fragment) ? 1 : 0;
+    signals.push({ profile: "url", id: signal.id, kind: "url", matches });
+  }
+  for (const profile of profiles) {
+    for (const signal of profile.callActive) {
+      const matches = count(doc, signal.selector);
+      signals.push({ profile: profile.id, id: signal.id, kind: "callActive", matches });
+    }
+  }
+
+  const participantNames = new Set();
+  const speakers = new Set();
+  for (const profile of profiles) {
+    for (const { container, name } of profile.participants) {
+      const found = queryAll(doc, `${container} ${name}`);
+      const id = `participants:${container}`;
+      signals.push({ profile: profile.id, id, kind: "participants", matches: found.length });
+      found.forEach((el) => addName(participantNames, el.getAttribute("title") || el.textContent));
+    }
+    for (const selector of profile.speaking) {
+      const found = queryAll(doc, selector);
+      signals.push({ profile: profile.id, id: `speaking:${selector}`, kind: "speaking", matches: found.length });
+      found.forEach((el) => addName(speakers, speakerName(el, profiles)));
+    }
+  }
+
+  const title = firstMatch(doc, profiles, "title", signals);
+  const countText = firstMatch(doc, profiles, "participantCount", signals);
+  const countMatch = /(\d+)/.exec(countText?.text || "");
+
+  const hits = new Map();
+  for (const signal of signals) {
+    if (signal.matches && signal.profile !== "url") hits.set(signal.profile, (hits.get(signal.profile) || 0) + 1);
+  }
+  const profile = [...hits].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+
+  return {
+    callActive: signals.some((s) => (s.kind === "url" || s.kind === "callActive") && s.matches > 0),
+    meetingTitle: (title?.text || doc.title || "TeamsCall").trim(),
+    participantCount: countMatch ? Number(countMatch[1]) : null,
+    participantNames: [...participantNames],
+    speakers: [...speakers],
+    profile,
+    signals,
+  };
+}
+
+/**
+ * Watch `doc` and call `onChange(result)` whenever the detected call state,
+ * title, participant count, roster or speakers change. Mutations are batched
+ * for `debounceMs`; a slow fallback timer covers URL-only navigations.
+ */
+export function createDetector({
+  doc = document,
+  onChange = () => {},
+  debounceMs = 200,
+  fallbackMs = 10_000,
+} = {}) {
+  let observer = null;
+  let debounceTimer = null;
+  let fallbackTimer = null;
+  let current = null;
+  let lastKey = "";
+
+  function run() {
+    debounceTimer = null;
+    current = detect(doc, { url: doc.location?.href || "" });
+    const key = JSON.stringify([
+      current.callActive,
+      current.meetingTitle,
+      current.participantCount,
+      current.participantNames,
+      current.speakers,
+    ]);
+    if (key === lastKey) return;
+    lastKey = key;
+    onChange(current);
+  }
+
+  function schedule() {
+    if (debounceTimer === null) debounceTimer = setTimeout(run, debounceMs);
+  }
+
+  return {
+    start() {
+      if (observer) return;
+      observer = new MutationObserver(schedule);
+      observer.observe(doc.documentElement, {
+        subtree: true,
+        childList: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ["aria-label", "class", "data-is-speaking", "data-tid", "title"],
+      });
+      fallbackTimer = setInterval(schedule, fallbackMs);
+      run();
+    },
+    stop() {
+      observer?.disconnect();
+      observer = null;
+      clearTimeout(debounceTimer);
+      debounceTimer = null;
+      clearInterval(fallbackTimer);
+      fallbackTimer = null;
+    },
+    /** Latest result; recomputed first when `fresh` is set. */
+    snapshot(fresh = false) {
+      if (fresh || !current) current = detect(doc, { url: doc.location?.href || "" });
+      return current;
+    },
+  };
+}
+
+/** Strip Teams' decorations such as "(Guest)", "(Organizer)" or ", muted". */
+export function cleanName(text) {
+  return String(text || "")
+    .split(",")[0]
+    .replace(NAME_NOISE, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 80);
+}
+
+/** Name of the participant a speaking indicator belongs to. */
+function speakerName(el, profiles) {
+  for (const profile of profiles) {
+    for (const { container, name } of profile.participants) {
+      const owner = el.closest(container);
+      const nameEl = owner?.querySelector(name);
+      if (nameEl) return nameEl.getAttribute("title") || nameEl.textContent;
+    }
+  }
+  return el.closest("[aria-label]")?.getAttribute("aria-label") || "";
+}
+
+function firstMatch(doc, profiles, key, signals) {
+  for (const profile of profiles) {
+    for (const selector of profile[key]) {
+      const text = queryAll(doc, selector)
+        .map((el) => el.textContent.trim() || el.getAttribute("aria-label") || "")
+        .find(Boolean);
+      signals.push({ profile: profile.id, id: `${key}:${selector}`, kind: key, matches: text ? 1 : 0 });
+      if (text) return { text };
+    }
+  }
+  return null;
+}
+
+function addName(set, text) {
+  const name = cleanName(text);
+  if (name) set.add(name);
+}
+
+function count(doc, selector) {
+  return queryAll(doc, selector).length;
+}
+
+// A selector the engine rejects counts as no match rather than breaking detection.
+function queryAll(doc, selector) {
+  try {
+    return [...doc.querySelectorAll(selector)];
+  } catch {
+    return [];
+  }
+}
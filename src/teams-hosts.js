@@ -0,0 +1,32 @@
+/**
+ * Every origin Teams is served from. manifest.json mirrors this list: the
+ * first entry is a required host permission with a static content script,
+ * the rest are optional host permissions the user grants from the popup, and
+ * the background registers the content script for them once granted.
+ */
+
+export const TEAMS_HOSTS = [
+  {
+    id: "work",
+    label: "Teams for work or school (incl. GCC)",
+    match: "https://teams.microsoft.com/*",
+    optional: false,
+  },
+  { id: "cloud", label: "teams.cloud.microsoft", match: "https://teams.cloud.microsoft/*", optional: true },
+  { id: "personal", label: "Teams (free) on teams.live.com", match: "https://teams.live.com/*", optional: true },
+  { id: "gcc-high", label: "GCC High", match: "https://gov.teams.microsoft.us/*", optional: true },
+  { id: "dod", label: "DoD", match: "https://dod.teams.microsoft.us/*", optional: true },
+];
+
+export const OPTIONAL_TEAMS_MATCHES = TEAMS_HOSTS.filter((host) => host.optional).map((host) => host.match);
+
+/** Match patterns the extension may currently run on. */
+export async function grantedTeamsMatches() {
+  const granted = [];
+  for (const host of TEAMS_HOSTS) {
+    if (!host.optional || (await chrome.permissions.contains({ origins: [host.match] }))) {
+      granted.push(host.match);
+    }
+  }
+  return granted;
+}
@@ -0,0 +1,21 @@
+/**
+ * Small text helpers for the pages that build HTML by hand: the popup, the
+ * library and the in-page panel (which loads it with a dynamic import(), hence
+ * its web_accessible_resources entry).
+ */
+
+/** `input` as text safe inside element content and double-quoted attributes. */
+export function escapeHtml(input) {
+  return String(input ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+/** File size for people: "850 KB", "12.4 MB", "1.25 GB". */
+export function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
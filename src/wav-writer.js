@@ -0,0 +1,78 @@
+/**
+ * Streaming WAV writer.
+ *
+ * PCM blocks from the tap worklet are converted to 16- or 24-bit little-endian
+ * samples as they arrive and spilled into Blob parts. The RIFF header is only
+ * written at finish(), once the final data size is known, so the recording is
+ * never decoded or buffered as a whole.
+ */
+
+import { createBlobSpiller } from "./blob-spiller.js";
+
+export const WAV_SAMPLE_RATES = [16000, 48000];
+export const WAV_BIT_DEPTHS = [16, 24];
+
+const HEADER_BYTES = 44;
+// RIFF sizes are 32-bit; past this point the header saturates and most players
+// fall back to reading until end of file.
+const MAX_RIFF_SIZE = 0xffffffff;
+
+export function createWavWriter({ sampleRate, channels = 2, bitDepth = 16 }) {
+  const bytesPerSample = bitDepth === 24 ? 3 : 2;
+  const blockAlign = channels * bytesPerSample;
+  const data = createBlobSpiller();
+
+  return {
+    format: "wav",
+    encoding: { codec: "pcm", sampleRate, channels, bitDepth: bytesPerSample * 8 },
+    encode(channelData) {
+      const frames = channelData[0].length;
+      const bytes = new Uint8Array(frames * blockAlign);
+      const view = new DataView(bytes.buffer);
+      let offset = 0;
+      for (let i = 0; i < frames; i++) {
+        for (let ch = 0; ch < channels; ch++) {
+          const s = Math.max(-1, Math.min(1, (channelData[ch] || channelData[0])[i]));
+          if (bytesPerSample === 3) {
+            const v = Math.round(s < 0 ? s * 0x800000 : s * 0x7fffff);
+            view.setUint8(offset, v & 0xff);
+            view.setUint8(offset + 1, (v >> 8) & 0xff);
+            view.setUint8(offset + 2, (v >> 16) & 0xff);
+          } else {
+            view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+          }
+          offset += bytesPerSample;
+        }
+      }
+      data.push(bytes);
+    },
+    finish() {
+      const parts = data.finish();
+      const header = createHeader({ sampleRate, channels, bytesPerSample, dataSize: data.size });
+      return new Blob([header, ...parts], { type: "audio/wav" });
+    },
+  };
+}
+
+function createHeader({ sampleRate, channels, bytesPerSample, dataSize }) {
+  const blockAlign = channels * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(HEADER_BYTES));
+  writeString(view, 0, "RIFF");
+  view.setUint32(4, Math.min(MAX_RIFF_SIZE, 36 + dataSize), true);
+  writeString(view, 8, "WAVE");
+  writeString(view, 12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+  writeString(view, 36, "data");
+  view.setUint32(40, Math.min(MAX_RIFF_SIZE, dataSize), true);
+  return view.buffer;
+}
+
+function writeString(view, offset, str) {
+  for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+}
@@ -0,0 +1,165 @@
+/**
+ * Outgoing webhooks for recording events, posted from the background worker
+ * to the URLs the user lists (a receiver on localhost works; nothing goes
+ * through a cloud service).
+ *
+ * Every delivery is queued in chrome.storage.local before it is sent, so one
+ * that fails, or is cut off by the worker stopping, is retried with
+ * exponential backoff from the WEBHOOK_ALARM alarm, up to MAX_ATTEMPTS times.
+ * Turning webhooks off drops whatever is still queued.
+ * Each delivery is a POST of
+ *
+ *   { event, deliveryId, occurredAt, sessionId, recording }
+ *
+ * where `recording` is the saved record for "recording.saved" and the same
+ * fields as far as they are known for the live events. With a secret set, the
+ * body is signed with HMAC-SHA256 in the X-Teams-Recorder-Signature header.
+ */
+
+import { endpointPermission } from "./endpoint-access.js";
+
+export const WEBHOOK_EVENTS = ["recording.started", "recording.paused", "recording.stopped", "recording.saved"];
+export const WEBHOOK_ALARM = "webhook-retry";
+
+const QUEUE_KEY = "webhookQueue";
+const MAX_QUEUE = 200;
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 30_000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10_000;
+
+// Queue updates run one at a time, and so do flushes; deliveries happen
+// outside the queue updates.
+let queueTail = Promise.resolve();
+let flushTail = Promise.resolve();
+
+function withQueue(update) {
+  const run = queueTail.then(async () => {
+    const data = await chrome.storage.local.get([QUEUE_KEY]);
+    const queue = Array.isArray(data[QUEUE_KEY]) ? data[QUEUE_KEY] : [];
+    const next = update(queue);
+    await chrome.storage.local.set({ [QUEUE_KEY]: next });
+    return next;
+  });
+  queueTail = run.catch(() => {});
+  return run;
+}
+
+/** Webhook URLs from the setting's text, one per line; anything endpoint-access.js rules out is skipped. */
+export function parseWebhookUrls(text) {
+  return String(text || "")
+    .split(/\s+/)
+    .filter((url) => endpointPermission(url));
+}
+
+/** Host permission patterns the extension needs to post to `urls`. */
+export function webhookOrigins(urls) {
+  return [...new Set(urls.map(endpointPermission))];
+}
+
+/**
+ * Queue `event` for every configured URL and start sending it; resolves once
+ * it is queued. Does nothing when webhooks are off.
+ */
+export async function queueWebhook(event, { sessionId = null, recording = null } = {}) {
+  const settings = await chrome.storage.local.get(["webhookEnabled", "webhookUrls"]);
+  const urls = settings.webhookEnabled ? parseWebhookUrls(settings.webhookUrls) : [];
+  if (!urls.length) return;
+  const occurredAt = Date.now();
+  const deliveries = urls.map((url) => ({
+    id: crypto.randomUUID(),
+    url,
+    event,
+    payload: { event, occurredAt, sessionId, recording },
+    attempts: 0,
+    nextAttemptAt: occurredAt,
+    lastError: "",
+  }));
+  // Oldest deliveries give way when a receiver has been down for very long.
+  await withQueue((queue) => [...queue, ...deliveries].slice(-MAX_QUEUE));
+  flushWebhooks();
+}
+
+/** Send every delivery that is due and schedule the alarm for the next retry. */
+export function flushWebhooks() {
+  const run = flushTail.then(sendDue);
+  flushTail = run.catch(() => {});
+  return run;
+}
+
+/** Waiting deliveries, for the popup; none while webhooks are off, as the next flush drops them. */
+export async function webhookQueueStatus() {
+  const data = await chrome.storage.local.get(["webhookEnabled", QUEUE_KEY]);
+  const queue = data.webhookEnabled && Array.isArray(data[QUEUE_KEY]) ? data[QUEUE_KEY] : [];
+  const failed = queue.filter((delivery) => delivery.lastError);
+  return { waiting: queue.length, lastError: failed[failed.length - 1]?.lastError || "" };
+}
+
+async function sendDue() {
+  const data = await chrome.storage.local.get(["webhookEnabled", "webhookSecret", QUEUE_KEY]);
+  if (!data.webhookEnabled) {
+    await withQueue(() => []);
+    await chrome.alarms.clear(WEBHOOK_ALARM);
+    return;
+  }
+  const now = Date.now();
+  const due = (Array.isArray(data[QUEUE_KEY]) ? data[QUEUE_KEY] : []).filter(
+    (delivery) => delivery.nextAttemptAt <= now
+  );
+  const results = new Map();
+  for (const delivery of due) {
+    results.set(delivery.id, await deliver(delivery, data.webhookSecret).then(() => "", (error) => error.message));
+  }
+
+  const queue = await withQueue((current) =>
+    current.flatMap((delivery) => {
+      if (!results.has(delivery.id)) return [delivery];
+      const error = results.get(delivery.id);
+      const attempts = delivery.attempts + 1;
+      if (!error || attempts >= MAX_ATTEMPTS) return [];
+      const delayMs = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1));
+      return [{ ...delivery, attempts, nextAttemptAt: Date.now() + delayMs, lastError: error }];
+    })
+  );
+
+  if (!queue.length) {
+    await chrome.alarms.clear(WEBHOOK_ALARM);
+    return;
+  }
+  const when = Math.max(Date.now() + 1000, Math.min(...queue.map((delivery) => delivery.nextAttemptAt)));
+  await chrome.alarms.create(WEBHOOK_ALARM, { when });
+}
+
+async function deliver(delivery, secret) {
+  const body = JSON.stringify({ ...delivery.payload, deliveryId: delivery.id });
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Teams-Recorder-Event": delivery.event,
+    "X-Teams-Recorder-Delivery": delivery.id,
+  };
+  if (secret) headers["X-Teams-Recorder-Signature"] = `sha256=${await hmacSha256(secret, body)}`;
+  let response;
+  try {
+    response = await fetch(delivery.url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw new Error(
+      error.name === "TimeoutError"
+        ? `${delivery.url} did not answer within ${REQUEST_TIMEOUT_MS / 1000} s.`
+        : `Could not reach ${delivery.url}.`
+    );
+  }
+  if (!response.ok) throw new Error(`${delivery.url} answered ${response.status}.`);
+}
+
+async function hmacSha256(secret, body) {
+  const encoder = new TextEncoder();
+  const algorithm = { name: "HMAC", hash: "SHA-256" };
+  const key = await crypto.subtle.importKey("raw", encoder.encode(secret), algorithm, false, ["sign"]);
+  const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(body));
+  return [...new Uint8Array(signature)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
@@ -0,0 +1,218 @@
+/**
+ * Streaming reader for the audio track of a WebM file as MediaRecorder writes
+ * it, so a finished recording can be decoded with WebCodecs a little at a
+ * time instead of being read and decoded whole.
+ *
+ * Only what MediaRecorder produces is supported: Matroska elements of known
+ * or unknown ("live") size, Opus or Vorbis audio, and SimpleBlocks or Blocks
+ * without lacing. The file is read in READ_BYTES slices; elements that are not
+ * needed, video frames included, are skipped without being read into memory.
+ * A file that ends mid-element, like a recovered partial recording, simply
+ * ends there.
+ */
+
+const READ_BYTES = 1024 * 1024;
+
+const SEGMENT = 0x18538067;
+const INFO = 0x1549a966;
+const TIMECODE_SCALE = 0x2ad7b1;
+const TRACKS = 0x1654ae6b;
+const TRACK_ENTRY = 0xae;
+const TRACK_NUMBER = 0xd7;
+const TRACK_TYPE = 0x83;
+const CODEC_ID = 0x86;
+const CODEC_PRIVATE = 0x63a2;
+const AUDIO = 0xe1;
+const SAMPLING_FREQUENCY = 0xb5;
+const CHANNELS = 0x9f;
+const CLUSTER = 0x1f43b675;
+const TIMECODE = 0xe7;
+const SIMPLE_BLOCK = 0xa3;
+const BLOCK_GROUP = 0xa0;
+const BLOCK = 0xa1;
+
+// Master elements whose children are read in place; every other element is
+// either one of the values below or skipped by its size. Reading children
+// without tracking where their parent ends is what makes unknown sizes work.
+const CONTAINERS = new Set([SEGMENT, INFO, TRACKS, TRACK_ENTRY, AUDIO, CLUSTER, BLOCK_GROUP]);
+const TRACK_TYPE_AUDIO = 2;
+const CODECS = { A_OPUS: "opus", A_VORBIS: "vorbis" };
+// Thrown by the reader when the file runs out; ends the stream quietly.
+const END_OF_FILE = new Error("The WebM file ends mid-element.");
+
+/**
+ * Yields `{ type: "config", codec, sampleRate, numberOfChannels, description }`
+ * once, before the first packet, then `{ type: "packet", timestamp, data,
+ * position }` per audio frame: `timestamp` in microseconds, `position` the
+ * byte offset reached in the file (for progress).
+ *
+ * @param {Blob} blob
+ */
+export async function* readWebmAudio(blob) {
+  try {
+    yield* readElements(createReader(blob));
+  } catch (error) {
+    if (error !== END_OF_FILE) throw error;
+  }
+}
+
+async function* readElements(reader) {
+  const tracks = [];
+  let timecodeScale = 1_000_000;
+  let clusterTimecode = 0;
+  let audio = null;
+
+  // An element header is at most 12 bytes: a 4-byte id and an 8-byte size.
+  while (await reader.ensure(12)) {
+    const id = reader.readId();
+    const size = reader.readSize();
+    if (CONTAINERS.has(id)) {
+      if (id === TRACK_ENTRY) tracks.push({});
+      continue;
+    }
+    if (size === null) throw new Error("Unsupported WebM file: unknown size on a non-container element.");
+
+    const track = tracks[tracks.length - 1];
+    switch (id) {
+      case TIMECODE_SCALE:
+        timecodeScale = await reader.readUint(size);
+        break;
+      case TRACK_NUMBER:
+        track.number = await reader.readUint(size);
+        break;
+      case TRACK_TYPE:
+        track.type = await reader.readUint(size);
+        break;
+      case CODEC_ID:
+        track.codecId = new TextDecoder().decode(await reader.readBytes(size)).replace(/\0+$/, "");
+        break;
+      case CODEC_PRIVATE:
+        track.codecPrivate = await reader.readBytes(size);
+        break;
+      case SAMPLING_FREQUENCY:
+        track.sampleRate = await reader.readFloat(size);
+        break;
+      case CHANNELS:
+        track.channels = await reader.readUint(size);
+        break;
+      case TIMECODE:
+        clusterTimecode = await reader.readUint(size);
+        break;
+      case SIMPLE_BLOCK:
+      case BLOCK: {
+        if (!audio) {
+          audio = tracks.find((entry) => entry.type === TRACK_TYPE_AUDIO && CODECS[entry.codecId]);
+          if (!audio) throw new Error("The recording has no Opus or Vorbis audio track.");
+          yield {
+            type: "config",
+            codec: CODECS[audio.codecId],
+            sampleRate: Math.round(audio.sampleRate || 48000),
+            numberOfChannels: audio.channels || 1,
+            description: audio.codecPrivate,
+          };
+        }
+        const block = await readBlock(reader, size);
+        if (block.track !== audio.number) break;
+        const timestamp = Math.round(((clusterTimecode + block.timecode) * timecodeScale) / 1000);
+        yield { type: "packet", timestamp, data: block.data, position: reader.position };
+        break;
+      }
+      default:
+        await reader.skip(size);
+    }
+  }
+}
+
+// Block header: track number (vint), timecode relative to the cluster (int16), flags.
+async function readBlock(reader, size) {
+  const start = reader.position;
+  await reader.ensure(size);
+  const track = reader.readSize();
+  const header = await reader.readBytes(3);
+  const timecode = new DataView(header.buffer, header.byteOffset).getInt16(0);
+  if (header[2] & 0x06) throw new Error("Unsupported WebM file: laced audio blocks.");
+  const data = await reader.readBytes(size - (reader.position - start));
+  return { track, timecode, data };
+}
+
+function createReader(blob) {
+  let buffer = new Uint8Array(0);
+  let offset = 0;
+  // File offset of buffer[0].
+  let base = 0;
+
+  // True when there is at least one byte left; buffers up to `count`.
+  async function ensure(count) {
+    while (buffer.length - offset < count && base + buffer.length < blob.size) {
+      const end = base + buffer.length;
+      const next = new Uint8Array(await blob.slice(end, end + Math.max(READ_BYTES, count)).arrayBuffer());
+      const merged = new Uint8Array(buffer.length - offset + next.length);
+      merged.set(buffer.subarray(offset));
+      merged.set(next, buffer.length - offset);
+      base += offset;
+      buffer = merged;
+      offset = 0;
+    }
+    return buffer.length - offset > 0;
+  }
+
+  // Variable-length integer; the length is given by the first byte's leading zeros.
+  function readVint(keepMarker) {
+    const first = buffer[offset];
+    const length = Math.clz32(first) - 23;
+    if (length < 1 || length > 8) throw new Error("Corrupt WebM file.");
+    if (buffer.length - offset < length) throw END_OF_FILE;
+    let value = keepMarker ? first : first & (0xff >> length);
+    let allOnes = value === (0xff >> length);
+    for (let i = 1; i < length; i++) {
+      const byte = buffer[offset + i];
+      value = value * 256 + byte;
+      allOnes &&= byte === 0xff;
+    }
+    offset += length;
+    return { value, unknown: !keepMarker && allOnes };
+  }
+
+  return {
+    ensure,
+    get position() {
+      return base + offset;
+    },
+    readId() {
+      return readVint(true).value;
+    },
+    /** Element size, or null for "unknown". Expects ensure() to have buffered it, like readId(). */
+    readSize() {
+      const { value, unknown } = readVint(false);
+      return unknown ? null : value;
+    },
+    async readBytes(count) {
+      await ensure(count);
+      if (buffer.length - offset < count) throw END_OF_FILE;
+      const bytes = buffer.slice(offset, offset + count);
+      offset += count;
+      return bytes;
+    },
+    async readUint(count) {
+      let value = 0;
+      for (const byte of await this.readBytes(count)) value = value * 256 + byte;
+      return value;
+    },
+    async readFloat(count) {
+      const bytes = await this.readBytes(count);
+      const view = new DataView(bytes.buffer);
+      return count === 4 ? view.getFloat32(0) : view.getFloat64(0);
+    },
+    async skip(count) {
+      const buffered = buffer.length - offset;
+      if (count <= buffered) {
+        offset += count;
+        return;
+      }
+      // Jump over the rest in the file without reading it.
+      base += buffer.length + (count - buffered);
+      buffer = new Uint8Array(0);
+      offset = 0;
+    },
+  };
+}
@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { countdownSeconds, evaluateAutoStart, parseTitlePatterns } from "../src/auto-start-rules.js";
+
+const settings = { autoStartOnCall: true, consentAccepted: true };
+const call = { callActive: true, participantCount: 5, title: "Weekly sync" };
+
+test("an active call starts recording when auto-start is on and consent given", () => {
+  assert.deepEqual(evaluateAutoStart(settings, call), { start: true, reason: "" });
+});
+
+test("nothing starts without consent, whatever else matches", () => {
+  const result = evaluateAutoStart({ ...settings, consentAccepted: false, autoStartTitlePatterns: "sync" }, call);
+  assert.deepEqual(result, { start: false, reason: "Consent not accepted." });
+  assert.equal(evaluateAutoStart({ autoStartOnCall: true }, call).start, false);
+});
+
+test("auto-start off and no active call are refused", () => {
+  assert.deepEqual(evaluateAutoStart({ ...settings, autoStartOnCall: false }, call), {
+    start: false,
+    reason: "Auto-start is off.",
+  });
+  assert.deepEqual(evaluateAutoStart(settings, { ...call, callActive: false }), {
+    start: false,
+    reason: "No active call.",
+  });
+});
+
+test("1:1 calls are skipped only when the count is known", () => {
+  const skip = { ...settings, autoStartSkipOneOnOne: true };
+  assert.equal(evaluateAutoStart(skip, { ...call, participantCount: 2 }).reason, "1:1 calls are excluded.");
+  assert.equal(evaluateAutoStart(skip, { ...call, participantCount: 3 }).start, true);
+  assert.equal(evaluateAutoStart(skip, { ...call, participantCount: null }).start, true);
+  assert.equal(evaluateAutoStart(settings, { ...call, participantCount: 2 }).start, true);
+});
+
+test("title patterns must match when any are set", () => {
+  const withPatterns = (autoStartTitlePatterns) => ({ ...settings, autoStartTitlePatterns });
+  assert.equal(evaluateAutoStart(withPatterns("weekly*"), call).start, true);
+  assert.equal(evaluateAutoStart(withPatterns("standup\n/^weekly/"), call).start, true);
+  assert.deepEqual(evaluateAutoStart(withPatterns("standup, retro"), call), {
+    start: false,
+    reason: "Meeting title does not match any pattern.",
+  });
+  assert.equal(evaluateAutoStart(withPatterns("sync"), { ...call, title: undefined }).start, false);
+  assert.equal(evaluateAutoStart(withPatterns(" \n , "), call).start, true);
+});
+
+test("title patterns escape regex syntax and drop invalid regexes", () => {
+  const patterns = parseTitlePatterns("Q1 (plan)\n/[/\n/^retro$/");
+  assert.equal(patterns.length, 2);
+  assert.ok(patterns[0].test("q1 (PLAN) review"));
+  assert.ok(!patterns[0].test("Q1 plan"));
+  assert.ok(patterns[1].test("Retro"));
+});
+
+test("the countdown is clamped to 0-20 seconds and defaults to 5", () => {
+  assert.equal(countdownSeconds({}), 5);
+  assert.equal(countdownSeconds({ autoStartCountdownSec: "abc" }), 5);
+  assert.equal(countdownSeconds({ autoStartCountdownSec: 0 }), 0);
+  assert.equal(countdownSeconds({ autoStartCountdownSec: -3 }), 0);
+  assert.equal(countdownSeconds({ autoStartCountdownSec: 99 }), 20);
+  assert.equal(countdownSeconds({ autoStartCountdownSec: "7.4" }), 7);
+});
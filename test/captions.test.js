@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { formatSrt, formatTimestamp, formatVtt } from "../src/captions.js";
+
+test("timestamps roll minutes into hours", () => {
+  assert.equal(formatTimestamp(0, ","), "00:00:00,000");
+  assert.equal(formatTimestamp(59_999, ","), "00:00:59,999");
+  assert.equal(formatTimestamp(3_599_999, "."), "00:59:59.999");
+  assert.equal(formatTimestamp(3_600_000, "."), "01:00:00.000");
+  assert.equal(formatTimestamp(37_230_045, ","), "10:20:30,045");
+});
+
+test("timestamps round to the millisecond and never go negative", () => {
+  assert.equal(formatTimestamp(1234.6, ","), "00:00:01,235");
+  assert.equal(formatTimestamp(-500, "."), "00:00:00.000");
+});
+
+test("SRT numbers its cues and uses a comma before the milliseconds", () => {
+  const srt = formatSrt([
+    { start: 3_661_500, end: 3_663_000, text: "Second", speaker: "Ana" },
+    { start: 1000, end: 2500, text: "First" },
+  ]);
+  assert.equal(
+    srt,
+    "1\n00:00:01,000 --> 00:00:02,500\nFirst\n\n2\n01:01:01,500 --> 01:01:03,000\nAna: Second\n"
+  );
+});
+
+test("VTT has a header, dot separators and voice spans", () => {
+  const vtt = formatVtt([{ start: 3_600_000, end: 3_601_250, text: "Hello", speaker: "Bo <Guest>" }]);
+  assert.equal(vtt, "WEBVTT\n\n01:00:00.000 --> 01:00:01.250\n<v Bo  Guest>Hello\n");
+});
+
+test("cues get a minimum length and lose blank lines and empty text", () => {
+  const srt = formatSrt([
+    { start: 5000, end: 4000, text: "one\n\ntwo" },
+    { start: 6000, end: 7000, text: "   " },
+  ]);
+  assert.equal(srt, "1\n00:00:05,000 --> 00:00:05,500\none\ntwo\n");
+});
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { renderFilename, sanitize, validateTemplate } from "../src/filename-template.js";
+
+// Local time, as the tokens are.
+const startedAt = new Date(2024, 4, 31, 14, 5).getTime();
+const context = { startedAt, title: "Weekly sync", participantCount: 4, durationSec: 3900 };
+
+test("sanitize replaces reserved characters and whitespace", () => {
+  assert.equal(sanitize('a/b\\c:d*e?f"g<h>i|j'), "a_b_c_d_e_f_g_h_i_j");
+  assert.equal(sanitize("Q3  planning \t review"), "Q3_planning_review");
+  assert.equal(sanitize("bell\u0007 tab"), "bell_tab");
+});
+
+test("sanitize trims dots and spaces and guards Windows device names", () => {
+  assert.equal(sanitize("..hidden..."), "hidden");
+  assert.equal(sanitize("CON"), "_CON");
+  assert.equal(sanitize("lpt1.txt"), "_lpt1.txt");
+  assert.equal(sanitize("console"), "console");
+});
+
+test("sanitize caps a segment at 120 characters", () => {
+  assert.equal(sanitize("x".repeat(300)).length, 120);
+  // The cut can expose a trailing dot, which is trimmed after it.
+  assert.equal(sanitize(`${"x".repeat(119)}.y`), "x".repeat(119));
+});
+
+test("validateTemplate accepts every token and reports problems", () => {
+  const everyToken = "{year}/{month}/{day}_{weekday}_{time}_{title}_{participants}_{duration}";
+  assert.deepEqual(validateTemplate(everyToken), []);
+  assert.deepEqual(validateTemplate("  "), ["The template is empty."]);
+  assert.deepEqual(validateTemplate("{date}_{room}_{host}"), ["Unknown tokens: {room}, {host}"]);
+  assert.deepEqual(validateTemplate("{date"), ["Unmatched { or }."]);
+  assert.deepEqual(validateTemplate("../{date}"), ["The template must stay inside the recordings folder."]);
+  assert.ok(validateTemplate("/{date}").includes("The template must stay inside the recordings folder."));
+  assert.deepEqual(validateTemplate("a/b/c/d/e/{date}"), ["At most 4 subfolders."]);
+  assert.deepEqual(validateTemplate("a//{date}"), ["Empty folder name (doubled or trailing /)."]);
+});
+
+test("renderFilename fills in the tokens under the recordings folder", () => {
+  assert.equal(
+    renderFilename({
+      template: "{year}/{month}/{date}_{time}_{title}_{participants}p_{duration}",
+      folder: "Calls",
+      context,
+    }),
+    "Calls/2024/05/2024-05-31_14-05_Weekly_sync_4p_1h05m"
+  );
+  assert.equal(
+    renderFilename({ template: "{weekday}_{day}", folder: "", context: { startedAt } }),
+    "TeamsRecordings/Friday_31"
+  );
+});
+
+test("a title cannot add folders or escape the recordings folder", () => {
+  const title = "../../etc/passwd";
+  const name = renderFilename({ template: "{title}", folder: "Calls", context: { ...context, title } });
+  assert.equal(name, "Calls/_.._etc_passwd");
+  assert.equal(
+    renderFilename({ template: "{title}", folder: "Calls", context: { ...context, title: "t".repeat(200) } }),
+    `Calls/${"t".repeat(80)}`
+  );
+});
+
+test("an invalid template falls back to the default", () => {
+  assert.equal(
+    renderFilename({ template: "{room}", folder: "Calls", context }),
+    "Calls/Teams_2024-05-31_14-05_Weekly_sync"
+  );
+});
+
+test("a name that sanitizes to nothing becomes TeamsCall", () => {
+  const title = "...";
+  const name = renderFilename({ template: "{title}", folder: "Calls", context: { ...context, title } });
+  assert.equal(name, "Calls/TeamsCall");
+  assert.equal(renderFilename({ template: "...", folder: "...", context }), "TeamsRecordings/TeamsCall");
+});
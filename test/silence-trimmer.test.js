@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createSilenceTrimmer, rmsDb, trimmedOffset } from "../src/silence-trimmer.js";
+
+// 1 kHz keeps the arithmetic readable: one frame per ms, 100 ms per block.
+const SAMPLE_RATE = 1000;
+const BLOCK = 100;
+
+const block = (amplitude) => [new Float32Array(BLOCK).fill(amplitude), new Float32Array(BLOCK).fill(-amplitude)];
+const loud = (ms) => Array.from({ length: ms / BLOCK }, () => block(0.5));
+const quiet = (ms) => Array.from({ length: ms / BLOCK }, () => block(0.001));
+
+function trim(blocks, { minSilenceSec = 3, levelDb = -50 } = {}) {
+  const encoded = [];
+  const trimmer = createSilenceTrimmer({
+    sampleRate: SAMPLE_RATE,
+    minSilenceSec,
+    levelDb,
+    encode: (channels) => encoded.push(channels),
+  });
+  blocks.forEach((channels) => trimmer.push(channels));
+  const ranges = trimmer.finish();
+  return { ranges, encodedMs: encoded.length * BLOCK, encoded };
+}
+
+test("rmsDb measures all channels and floors silence at -100", () => {
+  assert.equal(Math.round(rmsDb(block(0.5))), -6);
+  assert.equal(Math.round(rmsDb(block(0.001))), -60);
+  assert.equal(rmsDb([new Float32Array(BLOCK)]), -100);
+  assert.equal(rmsDb([]), -100);
+});
+
+test("a pause shorter than the minimum run is kept whole, in order", () => {
+  const blocks = [...loud(1000), ...quiet(2900), ...loud(1000)];
+  const { ranges, encoded } = trim(blocks);
+  assert.deepEqual(ranges, []);
+  assert.equal(encoded.length, blocks.length);
+  encoded.forEach((channels, i) => assert.equal(channels, blocks[i]));
+});
+
+test("a long silence keeps its first second and drops the rest", () => {
+  const { ranges, encodedMs } = trim([...loud(1000), ...quiet(5000), ...loud(1000)]);
+  assert.deepEqual(ranges, [{ start: 2000, end: 6000 }]);
+  assert.equal(encodedMs, 3000);
+});
+
+test("silence running to the end is dropped up to the last frame", () => {
+  const { ranges, encodedMs } = trim([...loud(500), ...quiet(4000)]);
+  assert.deepEqual(ranges, [{ start: 1500, end: 4500 }]);
+  assert.equal(encodedMs, 1500);
+});
+
+test("a short pause at the end is flushed by finish", () => {
+  const { ranges, encodedMs } = trim([...loud(500), ...quiet(1500)]);
+  assert.deepEqual(ranges, []);
+  assert.equal(encodedMs, 2000);
+});
+
+test("the level threshold decides what counts as quiet", () => {
+  // -60 dBFS is quiet below a -50 dB threshold but sound above a -70 dB one.
+  const { ranges, encodedMs } = trim([...loud(500), ...quiet(4000)], { levelDb: -70 });
+  assert.deepEqual(ranges, []);
+  assert.equal(encodedMs, 4500);
+});
+
+test("the minimum run is never shorter than the kept second", () => {
+  const { ranges, encodedMs } = trim([...loud(500), ...quiet(3000), ...loud(500)], { minSilenceSec: 0 });
+  assert.deepEqual(ranges, [{ start: 1500, end: 3500 }]);
+  assert.equal(encodedMs, 2000);
+});
+
+test("trimmedOffset moves offsets onto the trimmed file", () => {
+  const ranges = [
+    { start: 2000, end: 6000 },
+    { start: 8000, end: 9000 },
+  ];
+  assert.equal(trimmedOffset(1500, ranges), 1500);
+  assert.equal(trimmedOffset(4000, ranges), 2000);
+  assert.equal(trimmedOffset(7000, ranges), 3000);
+  assert.equal(trimmedOffset(10_000, ranges), 5000);
+  assert.equal(trimmedOffset(500, []), 500);
+});
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { test } from "node:test";
+import { JSDOM } from "jsdom";
+import { detect } from "../src/teams-detector.js";
+
+async function detectFixture(name, url) {
+  const html = await readFile(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+  return detect(new JSDOM(html, { url }).window.document);
+}
+
+test("new Teams call", async () => {
+  const result = await detectFixture("new-teams-call.html", "https://teams.microsoft.com/v2/");
+  assert.equal(result.callActive, true);
+  assert.equal(result.profile, "new-teams");
+  assert.equal(result.meetingTitle, "Weekly sync");
+  assert.equal(result.participantCount, 3);
+  assert.deepEqual(result.participantNames, ["Ada Lovelace", "Grace Hopper", "Alan Turing"]);
+  assert.deepEqual(result.speakers, ["Ada Lovelace"]);
+});
+
+test("classic Teams call", async () => {
+  const result = await detectFixture("classic-teams-call.html", "https://teams.microsoft.com/_#/conversations/");
+  assert.equal(result.callActive, true);
+  assert.equal(result.profile, "classic-teams");
+  assert.equal(result.meetingTitle, "Quarterly review");
+  assert.equal(result.participantCount, 2);
+  assert.deepEqual(result.participantNames, ["Margaret Hamilton", "Edsger Dijkstra"]);
+  assert.deepEqual(result.speakers, ["Margaret Hamilton"]);
+});
+
+test("German call found through aria-labels alone", async () => {
+  const result = await detectFixture("localized-de-call.html", "https://teams.microsoft.com/v2/");
+  assert.equal(result.callActive, true);
+  assert.equal(result.profile, "aria-localized");
+  assert.equal(result.participantCount, 4);
+  const fired = result.signals.filter((s) => s.kind === "callActive" && s.matches).map((s) => s.id);
+  assert.deepEqual(fired, ["aria-leave:Verlassen"]);
+});
+
+test("a chat page with leave buttons is not a call", async () => {
+  const result = await detectFixture("chat-page.html", "https://teams.microsoft.com/v2/");
+  assert.equal(result.callActive, false);
+  assert.equal(result.participantCount, 5);
+});
+
+test("a meeting URL counts as a call before the controls render", async () => {
+  const result = await detectFixture("chat-page.html", "https://teams.microsoft.com/l/meetup-join/19%3ameeting");
+  assert.equal(result.callActive, true);
+});
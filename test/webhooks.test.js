@@ -0,0 +1,156 @@
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { beforeEach, test } from "node:test";
+import { flushWebhooks, queueWebhook, WEBHOOK_ALARM } from "../src/webhooks.js";
+
+const URL_A = "https://a.example/hook";
+const URL_B = "https://b.example/hook";
+
+// Just enough of chrome.storage.local and chrome.alarms for webhooks.js.
+let store;
+let alarms;
+let requests;
+let respond;
+
+globalThis.chrome = {
+  storage: {
+    local: {
+      async get(keys) {
+        const present = keys.filter((key) => key in store);
+        return Object.fromEntries(present.map((key) => [key, structuredClone(store[key])]));
+      },
+      async set(items) {
+        Object.assign(store, structuredClone(items));
+      },
+    },
+  },
+  alarms: {
+    async create(name, { when }) {
+      alarms.set(name, when);
+    },
+    async clear(name) {
+      alarms.delete(name);
+    },
+  },
+};
+
+globalThis.fetch = async (url, init) => {
+  requests.push({ url, ...init });
+  return respond(url);
+};
+
+beforeEach(() => {
+  store = { webhookEnabled: true, webhookUrls: `${URL_A}\n${URL_B}` };
+  alarms = new Map();
+  requests = [];
+  respond = () => ({ ok: true, status: 204 });
+});
+
+function delivery(overrides = {}) {
+  return {
+    id: crypto.randomUUID(),
+    url: URL_A,
+    event: "recording.saved",
+    payload: { event: "recording.saved", occurredAt: 1, sessionId: "s1", recording: null },
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: "",
+    ...overrides,
+  };
+}
+
+test("a delivered webhook leaves the queue and clears the alarm", async () => {
+  store.webhookQueue = [delivery()];
+  alarms.set(WEBHOOK_ALARM, 1);
+  await flushWebhooks();
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].method, "POST");
+  assert.deepEqual(store.webhookQueue, []);
+  assert.equal(alarms.has(WEBHOOK_ALARM), false);
+});
+
+test("a failed delivery counts the attempt and backs off", async () => {
+  respond = () => ({ ok: false, status: 503 });
+  const due = delivery({ attempts: 2 });
+  const later = delivery({ url: URL_B, nextAttemptAt: Date.now() + 60_000 });
+  store.webhookQueue = [due, later];
+  const before = Date.now();
+  await flushWebhooks();
+
+  assert.deepEqual(requests.map((request) => request.url), [URL_A]);
+  const [retried, untouched] = store.webhookQueue;
+  assert.equal(retried.attempts, 3);
+  assert.equal(retried.lastError, `${URL_A} answered 503.`);
+  // 30 s doubled per earlier attempt.
+  assert.ok(retried.nextAttemptAt >= before + 120_000 && retried.nextAttemptAt <= Date.now() + 120_000);
+  assert.deepEqual(untouched, later);
+  assert.equal(alarms.get(WEBHOOK_ALARM), later.nextAttemptAt);
+});
+
+test("an unreachable receiver is reported as such", async () => {
+  respond = () => {
+    throw new TypeError("fetch failed");
+  };
+  store.webhookQueue = [delivery()];
+  await flushWebhooks();
+  assert.equal(store.webhookQueue[0].lastError, `Could not reach ${URL_A}.`);
+});
+
+test("a delivery is dropped after its eighth failed attempt", async () => {
+  respond = () => ({ ok: false, status: 500 });
+  store.webhookQueue = [delivery({ attempts: 6 }), delivery({ url: URL_B, attempts: 7 })];
+  await flushWebhooks();
+  assert.deepEqual(
+    store.webhookQueue.map(({ url, attempts }) => ({ url, attempts })),
+    [{ url: URL_A, attempts: 7 }]
+  );
+});
+
+test("the queue keeps the newest 200 deliveries", async () => {
+  respond = () => ({ ok: false, status: 500 });
+  const nextAttemptAt = Date.now() + 60_000;
+  store.webhookQueue = Array.from({ length: 199 }, (_, i) => delivery({ id: `old-${i}`, nextAttemptAt }));
+  await queueWebhook("recording.started", { sessionId: "s2" });
+  await flushWebhooks();
+
+  assert.equal(store.webhookQueue.length, 200);
+  assert.equal(store.webhookQueue[0].id, "old-1");
+  assert.deepEqual(
+    store.webhookQueue.slice(-2).map(({ url, event, attempts }) => ({ url, event, attempts })),
+    [
+      { url: URL_A, event: "recording.started", attempts: 1 },
+      { url: URL_B, event: "recording.started", attempts: 1 },
+    ]
+  );
+});
+
+test("with a secret the body is signed as sha256=<hex>", async () => {
+  store.webhookSecret = "s3cret";
+  const queued = delivery();
+  store.webhookQueue = [queued];
+  await flushWebhooks();
+
+  const [{ headers, body }] = requests;
+  assert.deepEqual(JSON.parse(body), { ...queued.payload, deliveryId: queued.id });
+  assert.equal(headers["X-Teams-Recorder-Event"], "recording.saved");
+  assert.equal(headers["X-Teams-Recorder-Delivery"], queued.id);
+  const expected = createHmac("sha256", "s3cret").update(body).digest("hex");
+  assert.match(headers["X-Teams-Recorder-Signature"], /^sha256=[0-9a-f]{64}$/);
+  assert.equal(headers["X-Teams-Recorder-Signature"], `sha256=${expected}`);
+});
+
+test("without a secret no signature is sent", async () => {
+  store.webhookQueue = [delivery()];
+  await flushWebhooks();
+  assert.equal("X-Teams-Recorder-Signature" in requests[0].headers, false);
+});
+
+test("turning webhooks off drops the queue without sending", async () => {
+  store.webhookEnabled = false;
+  store.webhookQueue = [delivery()];
+  alarms.set(WEBHOOK_ALARM, 1);
+  await flushWebhooks();
+  assert.equal(requests.length, 0);
+  assert.deepEqual(store.webhookQueue, []);
+  assert.equal(alarms.has(WEBHOOK_ALARM), false);
+});